@@ -1,80 +1,15 @@
 /**
  * ============================================================================
  * VBT (VELOCITY BASED TRAINING) APPLICATION - VANILLA JS 3D VERSION
- * Combined implementation of VBT Logic, State Machine, Gesture & Voice Control
+ * Browser shell: camera, MediaPipe, audio, voice, storage and UI on top of
+ * the headless engine in vbt-engine.js
  * ============================================================================
  */
 
-import { PoseLandmarker, FilesetResolver } from "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/vision_bundle.mjs";
+import { APP_STATES, ENGINE_EVENTS, EXERCISE_PROFILES, VELOCITY_METRICS, BASELINE_METHODS, VBTEngine, resolveFatigueSettings, LoadVelocityProfile, MINIMUM_VELOCITY_THRESHOLDS, LandmarkRecorder, ReplayHarness, poseFromLandmarks, exerciseLabel, asymmetrySummary, setSummary, sessionSummary, WorkoutRunner, WORKOUT_EVENTS, parseWorkout, parseVoiceCommand, GESTURES, GESTURE_ACTIONS, DEFAULT_GESTURE_MAP, CALIBRATION_METHODS, TECHNIQUE_FAULTS, CoachSession, COACH_EVENTS } from "./vbt-engine.js";
 
 // ============================================================================
-// 1. UTILITIES & MATH (From app-3d.js)
-// ============================================================================
-
-const Vector3D = {
-  fromLandmark(landmark) {
-    return { x: landmark.x || 0, y: landmark.y || 0, z: landmark.z || 0 };
-  },
-  subtract(a, b) {
-    return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
-  },
-  add(a, b) {
-    return { x: a.x + b.x, y: a.y + b.y, z: (a.z || 0) + (b.z || 0) };
-  },
-  dot(a, b) {
-    return a.x * b.x + a.y * b.y + (a.z || 0) * (b.z || 0);
-  },
-  magnitude(v) {
-    return Math.sqrt(v.x * v.x + v.y * v.y + (v.z || 0) * (v.z || 0));
-  },
-  distance(a, b) {
-    return Vector3D.magnitude(Vector3D.subtract(a, b));
-  },
-  angleBetween(a, b) {
-    const magA = Vector3D.magnitude(a);
-    const magB = Vector3D.magnitude(b);
-    if (magA === 0 || magB === 0) return 0;
-    const cosAngle = Vector3D.dot(a, b) / (magA * magB);
-    return Math.acos(Math.max(-1, Math.min(1, cosAngle))) * (180 / Math.PI);
-  },
-  midpoint(a, b) {
-    return {
-      x: a.x + (b.x - a.x) * 0.5,
-      y: a.y + (b.y - a.y) * 0.5,
-      z: (a.z || 0) + ((b.z || 0) - (a.z || 0)) * 0.5
-    };
-  }
-};
-
-class OneEuroFilter {
-  constructor(minCutoff = 1.0, beta = 0.007, dCutoff = 1.0) {
-    this.minCutoff = minCutoff;
-    this.beta = beta;
-    this.dCutoff = dCutoff;
-    this.x = { y: null, filter: (v, a) => (this.x.y = (this.x.y === null ? v : a * v + (1 - a) * this.x.y)) };
-    this.dx = { y: null, filter: (v, a) => (this.dx.y = (this.dx.y === null ? v : a * v + (1 - a) * this.dx.y)) };
-    this.lastTime = null;
-  }
-  
-  getAlpha(cutoff, freq) {
-    const tau = 1.0 / (2 * Math.PI * cutoff);
-    const te = 1.0 / freq;
-    return 1.0 / (1.0 + tau / te);
-  }
-  
-  filter(value, timestamp) {
-    if (this.lastTime && timestamp === this.lastTime) return value;
-    const freq = this.lastTime ? 1000 / (timestamp - this.lastTime) : 30;
-    this.lastTime = timestamp;
-    const dValue = this.x.y === null ? 0 : (value - this.x.y) * freq;
-    const edValue = this.dx.filter(dValue, this.getAlpha(this.dCutoff, freq));
-    const cutoff = this.minCutoff + this.beta * Math.abs(edValue);
-    return this.x.filter(value, this.getAlpha(cutoff, freq));
-  }
-}
-
-// ============================================================================
-// 2. NEW FEATURES (From PDF Instructions)
+// 1. BROWSER FEATURES
 // ============================================================================
 
 // --- Audio Feedback System ---
@@ -134,80 +69,111 @@ class AudioFeedback {
         this.playTone(300, 'sawtooth', 0.15, 0.2); 
     }
     rep() { this.playTone(800, 'sine', 0.05); }
+    targetReached() {
+        this.playTone(880, 'square', 0.15, 0);
+        this.playTone(660, 'square', 0.15, 0.2);
+        this.playTone(440, 'square', 0.3, 0.4);
+    }
     command() { this.playTone(1000, 'sine', 0.1); }
+    restCountdown() { this.playTone(660, 'sine', 0.08); }
+    restEnd() {
+        this.playTone(660, 'sine', 0.1, 0);
+        this.playTone(990, 'sine', 0.3, 0.1);
+    }
+    setMissed() {
+        this.playTone(220, 'triangle', 0.2, 0);
+        this.playTone(196, 'triangle', 0.3, 0.25);
+    }
+    repRejected() { this.playTone(200, 'triangle', 0.15); }
 }
 
 const audioFeedback = new AudioFeedback();
 
-// --- Gesture Detector (T-Pose) ---
-class GestureDetector {
+// --- Spoken Feedback (Speech Synthesis) ---
+// Levels are cumulative: each one also speaks everything the levels before it do.
+const SPEECH_LEVELS = {
+    OFF: 'Speech Off',
+    PROMPTS: 'Speak Prompts & Summary',
+    ZONES: 'Speak + Fatigue Zones',
+    REPS: 'Speak + Every Rep'
+};
+
+class SpeechFeedback {
     constructor() {
-        this.framesHeld = 0;
-        this.requiredFrames = 45; // ~1.5s
-        this.cooldownFrames = 0;
-        this.COOLDOWN_DURATION = 90; // 3s
+        this.synth = window.speechSynthesis || null;
+        this.level = 'OFF';
+        this.pending = 0;
+        this.onSpeakingChange = null;
+        if (!this.synth) console.warn('Speech Synthesis API not supported');
     }
 
-    update(pose) {
-        if (this.cooldownFrames > 0) {
-            this.cooldownFrames--;
-            return null;
-        }
+    setLevel(level) {
+        if (!SPEECH_LEVELS[level]) return;
+        this.level = level;
+        if (level === 'OFF') this.synth?.cancel();
+    }
 
-        if (!pose || !pose.LEFT || !pose.RIGHT) return null;
-
-        const leftWrist = pose.LEFT.WRIST;
-        const rightWrist = pose.RIGHT.WRIST;
-        const leftElbow = pose.LEFT.ELBOW;
-        const rightElbow = pose.RIGHT.ELBOW;
-        const leftShoulder = pose.LEFT.SHOULDER;
-        const rightShoulder = pose.RIGHT.SHOULDER;
-        const leftHip = pose.LEFT.HIP;
-
-        // 1. Vertical Check: Wrists at shoulder height (+/- 15% torso length)
-        const torsoLength = Math.abs(leftShoulder.y - leftHip.y);
-        const yTolerance = torsoLength * 0.15;
-        const leftYValid = Math.abs(leftWrist.y - leftShoulder.y) < yTolerance;
-        const rightYValid = Math.abs(rightWrist.y - rightShoulder.y) < yTolerance;
-
-        // 2. Horizontal Check: Wrists extended outward
-        const armSpan = Math.abs(leftWrist.x - rightWrist.x);
-        const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x);
-        const extendedValid = armSpan > (shoulderWidth * 2.5);
-
-        // 3. Elbow Angle Check (>160 degrees)
-        const leftAngle = Vector3D.angleBetween(
-            Vector3D.subtract(leftShoulder, leftElbow),
-            Vector3D.subtract(leftWrist, leftElbow)
-        );
-        const rightAngle = Vector3D.angleBetween(
-            Vector3D.subtract(rightShoulder, rightElbow),
-            Vector3D.subtract(rightWrist, rightElbow)
-        );
-        const elbowsStraight = leftAngle > 150 && rightAngle > 150; 
-
-        if (leftYValid && rightYValid && extendedValid && elbowsStraight) {
-            this.framesHeld++;
-            const progress = Math.min(1, this.framesHeld / this.requiredFrames);
-            
-            if (this.framesHeld >= this.requiredFrames) {
-                this.framesHeld = 0;
-                this.cooldownFrames = this.COOLDOWN_DURATION;
-                return { gesture: 'T_POSE', confidence: 1.0 };
-            }
-            return { gesture: 'T_POSE_HOLDING', progress };
-        } else {
-            this.framesHeld = 0;
-            return null;
+    allows(level) {
+        const order = Object.keys(SPEECH_LEVELS);
+        return this.level !== 'OFF' && order.indexOf(this.level) >= order.indexOf(level);
+    }
+
+    // interrupt drops anything still queued, so rep calls stay in time with the lifter
+    say(text, level, interrupt = false) {
+        if (!this.synth || !this.allows(level)) return;
+        if (interrupt) this.synth.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = 'en-US';
+        utterance.rate = 1.1;
+        utterance.onend = utterance.onerror = () => {
+            this.pending = Math.max(0, this.pending - 1);
+            if (this.pending === 0 && this.onSpeakingChange) this.onSpeakingChange(false);
+        };
+        if (this.pending++ === 0 && this.onSpeakingChange) this.onSpeakingChange(true);
+        this.synth.speak(utterance);
+    }
+
+    announceState(state) {
+        switch (state.currentState) {
+            case APP_STATES.NEEDS_HEIGHT_INPUT: return this.say('Enter your height to begin', 'PROMPTS');
+            case APP_STATES.AWAITING_CALIBRATION: return this.say('Hold a T-pose to calibrate', 'PROMPTS');
+            case APP_STATES.CALIBRATING: return this.say('Calibrating. Hold still', 'PROMPTS');
+            case APP_STATES.READY_FOR_SET: return this.say(`${exerciseLabel(state.exercise, state.bilateral)}. Start when ready`, 'PROMPTS');
+            case APP_STATES.TRACKING:
+                if (state.lockedSide === 'LEFT' || state.lockedSide === 'RIGHT') this.say(`${state.lockedSide.toLowerCase()} side`, 'PROMPTS');
+                return;
         }
     }
+
+    rep(velocity) { this.say(velocity.toFixed(2), 'REPS', true); }
+
+    // Replies to a spoken question are given whatever the level, except when speech is off
+    answer(text) { this.say(text, 'PROMPTS', true); }
+
+    zone(zone) {
+        if (zone !== 'FRESH') this.say(`${zone.toLowerCase()} fatigue`, 'ZONES');
+    }
+
+    setSummary(set) {
+        const best = Math.max(...set.velocities);
+        const average = set.velocities.reduce((a, b) => a + b, 0) / set.velocities.length;
+        this.say(`Set done. ${set.velocities.length} reps. Best ${best.toFixed(2)}, average ${average.toFixed(2)}` +
+            (set.dropFromBaseline === null ? '' : `, down ${Math.round(set.dropFromBaseline)} percent`), 'PROMPTS');
+    }
 }
 
+const speechFeedback = new SpeechFeedback();
+
 // --- Voice Command System ---
 class VoiceCommandSystem {
-    constructor(callbacks) {
+    constructor(callbacks, options = {}) {
         this.recognition = null;
         this.callbacks = callbacks || {}; 
+        this.wakeWord = '';
+        this.minConfidence = 0;
+        this.setOptions(options);
+        this.muted = false;
+        this.mutedUntil = 0;
         
         if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
             const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
@@ -233,11 +199,12 @@ class VoiceCommandSystem {
             if (event.error !== 'no-speech') console.warn('Voice error:', event.error);
         };
         this.recognition.onresult = (event) => {
+            if (this.isMuted) return;
             let finalTranscript = '';
             for (let i = event.resultIndex; i < event.results.length; ++i) {
                 if (event.results[i].isFinal) {
                     finalTranscript += event.results[i][0].transcript;
-                    this.processCommand(finalTranscript.toLowerCase());
+                    this.processCommand(event.results[i][0].transcript, event.results[i][0].confidence);
                 } else if (this.callbacks.onTranscript) {
                     this.callbacks.onTranscript(event.results[i][0].transcript);
                 }
@@ -248,305 +215,485 @@ class VoiceCommandSystem {
         };
     }
 
-    processCommand(text) {
-        const intents = [
-            { id: 'CALIBRATE', phrases: ["ready", "calibrate", "start calibration"] },
-            { id: 'RESET_SIDE', phrases: ["reset", "switch arms", "switch", "other side"] }
-        ];
-        for (const intent of intents) {
-            if (intent.phrases.some(phrase => text.includes(phrase))) {
-                if (this.callbacks.onCommand) this.callbacks.onCommand(intent.id, text);
-                return;
-            }
+    setOptions({ wakeWord = this.wakeWord, minConfidence = this.minConfidence } = {}) {
+        this.wakeWord = wakeWord;
+        this.minConfidence = minConfidence;
+    }
+
+    // Whole utterances only (see VOICE_GRAMMAR); quiet or distant speech scores a low confidence
+    processCommand(text, confidence = 1) {
+        const command = parseVoiceCommand(text, { wakeWord: this.wakeWord });
+        if (!command) return;
+        if (confidence < this.minConfidence) {
+            if (this.callbacks.onRejected) this.callbacks.onRejected(text, `confidence ${confidence.toFixed(2)}`);
+            return;
         }
+        if (this.callbacks.onCommand) this.callbacks.onCommand(command.intent, text, command.params);
     }
 
     start() { try { this.recognition?.start(); } catch(e) {} }
+
+    // Ignore the microphone while the app is speaking, plus a short tail for late results
+    setMuted(muted) {
+        this.muted = muted;
+        if (!muted) this.mutedUntil = Date.now() + 800;
+    }
+
+    get isMuted() { return this.muted || Date.now() < this.mutedUntil; }
 }
 
-// --- Application State Store ---
-const APP_STATES = {
-    NEEDS_HEIGHT_INPUT: 'NEEDS_HEIGHT_INPUT',
-    AWAITING_CALIBRATION: 'AWAITING_CALIBRATION',
-    CALIBRATING: 'CALIBRATING',
-    READY_FOR_SET: 'READY_FOR_SET',
-    TRACKING: 'TRACKING',
-    BETWEEN_SETS: 'BETWEEN_SETS'
+// --- Pose Detection (Web Worker) ---
+// MediaPipe runs in pose-worker.js so inference never blocks rendering. One frame is in
+// flight at a time and frames arriving meanwhile are skipped; each processed frame keeps
+// its own timestamp (see loop()), so skipped frames don't distort velocities.
+const MEDIAPIPE_WASM_PATH = 'vendor/tasks-vision/wasm';
+const POSE_MODELS = {
+    LITE: { label: 'Lite', path: 'models/pose_landmarker_lite.task' },
+    FULL: { label: 'Full', path: 'models/pose_landmarker_full.task' },
+    HEAVY: { label: 'Heavy', path: 'models/pose_landmarker_heavy.task' }
 };
+const POSE_MODEL_ORDER = ['LITE', 'FULL', 'HEAVY'];
 
-class AppState {
+class PoseDetector {
     constructor() {
-        this.currentState = APP_STATES.NEEDS_HEIGHT_INPUT;
-        this.userHeight = null;
-        this.calibrationProgress = 0;
-        this.lockedSide = null;
-        this.listeners = [];
-        
-        const stored = localStorage.getItem('vbt_user_height');
-        if (stored) {
-            this.userHeight = parseFloat(stored);
-            this.currentState = APP_STATES.AWAITING_CALIBRATION;
-        }
+        this.worker = new Worker('pose-worker.js', { type: 'module' });
+        this.requests = new Map(); // id -> { resolve, reject }
+        this.nextId = 1;
+        this.model = null;
+        this.delegate = null;
+        this.configuring = false; // Loading a model or changing options
+        this.inFlight = false;
+        this.lastTimestamp = null; // Last time given to MediaPipe, which needs them strictly increasing
+        this.timeOffset = 0; // Added to the current source's frame times, null until its first frame
+        this.worker.onmessage = ({ data }) => {
+            const request = this.requests.get(data.id);
+            this.requests.delete(data.id);
+            if (data.error) request.reject(new Error(data.error));
+            else request.resolve(data.result);
+        };
     }
 
-    subscribe(listener) {
-        this.listeners.push(listener);
-        listener(this);
-        return () => this.listeners = this.listeners.filter(l => l !== listener);
-    }
-    notify() { this.listeners.forEach(l => l(this)); }
+    get ready() { return this.model !== null && !this.configuring && !this.inFlight; }
 
-    setHeight(inches) {
-        this.userHeight = inches;
-        localStorage.setItem('vbt_user_height', inches);
-        this.currentState = APP_STATES.AWAITING_CALIBRATION;
-        this.notify();
+    send(message, transfer = []) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, id }, transfer);
+        });
     }
 
-    startCalibration() {
-        if (this.canAcceptCalibrationTrigger) {
-            this.currentState = APP_STATES.CALIBRATING;
-            this.calibrationProgress = 0;
-            this.notify();
+    async configure(message) {
+        this.configuring = true;
+        try {
+            return await this.send(message);
+        } finally {
+            this.configuring = false;
         }
     }
 
-    updateCalibrationProgress(progress) {
-        this.calibrationProgress = progress;
-        this.notify();
+    async load(model) {
+        const { delegate } = await this.configure({ type: 'load', wasmPath: MEDIAPIPE_WASM_PATH, modelPath: POSE_MODELS[model].path });
+        this.model = model;
+        this.delegate = delegate;
     }
 
-    calibrationComplete() {
-        this.currentState = APP_STATES.READY_FOR_SET;
-        this.lockedSide = null;
-        this.notify();
+    setNumPoses(numPoses) {
+        return this.configure({ type: 'setNumPoses', numPoses });
     }
 
-    lockSide(side) {
-        this.lockedSide = side;
-        this.currentState = APP_STATES.TRACKING;
-        this.notify();
+    // Each frame source (the camera, an analyzed clip) keeps its own clock. The worker sees
+    // them as one timeline: a new source's first frame lands a second after the last frame.
+    newSource() {
+        this.timeOffset = null;
     }
 
-    endSet() {
-        this.currentState = APP_STATES.BETWEEN_SETS;
-        this.notify();
+    // Resolves to { landmarks, worldLandmarks, latency } for the frame source currently shows,
+    // timestamp on that source's clock
+    async detect(source, timestamp) {
+        this.inFlight = true;
+        try {
+            if (this.timeOffset === null) this.timeOffset = this.lastTimestamp === null ? 0 : this.lastTimestamp + 1000 - timestamp;
+            this.lastTimestamp = timestamp + this.timeOffset;
+            const frame = await createImageBitmap(source);
+            return await this.send({ type: 'detect', frame, timestamp: this.lastTimestamp }, [frame]);
+        } finally {
+            this.inFlight = false;
+        }
     }
+}
 
-    get canAcceptCalibrationTrigger() {
-        return this.currentState === APP_STATES.AWAITING_CALIBRATION || 
-               this.currentState === APP_STATES.BETWEEN_SETS;
+// Picks the most accurate model the device runs fast enough. Starts on Lite and steps up
+// while median inference stays under UPGRADE_MS, down when it goes over DOWNGRADE_MS.
+// A model found too slow caps the choice for the session, so it never oscillates.
+class PoseModelSelector {
+    constructor() {
+        this.WARMUP_FRAMES = 10; // First GPU runs include shader compilation
+        this.SAMPLE_FRAMES = 60;
+        this.UPGRADE_MS = 20;
+        this.DOWNGRADE_MS = 45;
+        this.ceiling = POSE_MODEL_ORDER.length - 1;
+        this.reset();
     }
 
-    get canAcceptResetCommand() {
-        return this.currentState === APP_STATES.TRACKING;
+    reset() {
+        this.skip = this.WARMUP_FRAMES;
+        this.samples = [];
     }
 
-    get promptText() {
-        switch (this.currentState) {
-            case APP_STATES.NEEDS_HEIGHT_INPUT: return "Please enter your height";
-            case APP_STATES.AWAITING_CALIBRATION: return "Hold T-Pose or say 'Ready'";
-            case APP_STATES.CALIBRATING: return "Calibrating... Hold still";
-            case APP_STATES.READY_FOR_SET: return "Start Moving (Auto-lock side)";
-            case APP_STATES.TRACKING: return `Tracking ${this.lockedSide || ''} Side`;
-            case APP_STATES.BETWEEN_SETS: return "Set Complete. T-Pose to reset.";
-            default: return "";
+    // Returns the model to switch to, or null to stay
+    addSample(model, latency) {
+        if (this.skip > 0) {
+            this.skip--;
+            return null;
         }
+        this.samples.push(latency);
+        if (this.samples.length < this.SAMPLE_FRAMES) return null;
+
+        const sorted = [...this.samples].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        this.samples = [];
+        const index = POSE_MODEL_ORDER.indexOf(model);
+        if (median > this.DOWNGRADE_MS && index > 0) {
+            this.ceiling = index - 1;
+            return POSE_MODEL_ORDER[index - 1];
+        }
+        if (median < this.UPGRADE_MS && index < this.ceiling) return POSE_MODEL_ORDER[index + 1];
+        return null;
     }
 }
-const appState = new AppState();
 
+// Processed frames per second and mean inference time, refreshed once a second
+class PerformanceMeter {
+    constructor(element) {
+        this.element = element;
+        this.frames = 0;
+        this.latencyTotal = 0;
+        this.windowStart = performance.now();
+    }
 
-// ============================================================================
-// 3. CORE VBT LOGIC (From app-3d.js, adapted for new State Machine)
-// ============================================================================
+    addFrame(latency, modelLabel) {
+        this.frames++;
+        this.latencyTotal += latency;
+        const now = performance.now();
+        const elapsed = now - this.windowStart;
+        if (elapsed < 1000) return;
+        const fps = (this.frames * 1000) / elapsed;
+        this.element.textContent = `${fps.toFixed(0)} fps, ${(this.latencyTotal / this.frames).toFixed(0)} ms (${modelLabel})`;
+        this.frames = 0;
+        this.latencyTotal = 0;
+        this.windowStart = now;
+    }
+}
 
-class CalibrationSystem {
+// --- Session History Store (IndexedDB) ---
+// Sessions are keyed by local calendar day; every finished set is its own record.
+// Sets carry the athleteId they were recorded for (sets from before athlete profiles belong
+// to 'default') and are numbered per athlete within the day.
+class SessionStore {
     constructor() {
-        this.frames = [];
-        this.pixelToCmRatio = 1.0;
-        this.Z_SCALE = 1.0;
+        this.DB_NAME = 'vbt_history';
+        this.DB_VERSION = 1;
+        this.db = null;
     }
 
-    reset() { this.frames = []; }
-
-    captureFrame(pose, canvasHeight) {
-        if (!pose.LEFT || !pose.RIGHT) return 0;
-        const leftAnkle = pose.LEFT.ANKLE;
-        const rightAnkle = pose.RIGHT.ANKLE;
-        const nose = pose.LEFT.NOSE;
-        if (!leftAnkle || !rightAnkle || !nose) return 0;
+    static todayId(date = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
 
-        const avgAnkle = Vector3D.midpoint(leftAnkle, rightAnkle);
-        // Using simple Y-distance for standing calibration as it's robust
-        const pixelHeight = Math.abs(avgAnkle.y - nose.y) * canvasHeight;
-        
-        this.frames.push(pixelHeight);
-        return this.frames.length / 60;
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    finalize(userHeightInches) {
-        if (this.frames.length === 0) return;
-        const avgPixels = this.frames.reduce((a, b) => a + b, 0) / this.frames.length;
-        const userHeightCm = userHeightInches * 2.54;
-        // Approx 88% of height is ankle-to-nose
-        const effectiveHeightCm = userHeightCm * 0.88;
-        this.pixelToCmRatio = avgPixels / effectiveHeightCm;
-        console.log(`Calibrated: ${(this.pixelToCmRatio).toFixed(2)} px/cm`);
+    async open() {
+        if (this.db) return this.db;
+        if (!window.indexedDB) throw new Error('IndexedDB not supported');
+
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('sessions')) {
+                db.createObjectStore('sessions', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('sets')) {
+                const sets = db.createObjectStore('sets', { keyPath: 'id', autoIncrement: true });
+                sets.createIndex('sessionId', 'sessionId', { unique: false });
+            }
+        };
+        this.db = await SessionStore.promisify(request);
+        return this.db;
     }
-    
-    getPixelsPerMeter() { return this.pixelToCmRatio * 100; }
-}
 
-class VelocityFatigueTracker {
-    constructor() {
-        this.data = {
-            velocities: [],
-            baselineVelocity: null,
-            peakVelocity: null,
-            dropFromBaseline: 0,
-            repCount: 0,
-            fatigueZone: 'FRESH'
+    async saveSet(set) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'sets'], 'readwrite');
+        const sessions = tx.objectStore('sessions');
+        const sessionId = set.sessionId || SessionStore.todayId(new Date(set.startedAt || Date.now()));
+
+        const session = await SessionStore.promisify(sessions.get(sessionId)) || {
+            id: sessionId,
+            startedAt: set.startedAt || Date.now(),
+            setCount: 0
         };
+        session.setCount++;
+        session.updatedAt = set.endedAt || Date.now();
+        sessions.put(session);
+
+        const athleteId = set.athleteId || DEFAULT_ATHLETE_ID;
+        const daySets = await SessionStore.promisify(tx.objectStore('sets').index('sessionId').getAll(sessionId));
+        const setNumber = daySets.filter(s => (s.athleteId || DEFAULT_ATHLETE_ID) === athleteId).length + 1;
+        const record = { ...set, athleteId, sessionId, setNumber };
+        record.id = await SessionStore.promisify(tx.objectStore('sets').add(record));
+        return record;
     }
-    reset() {
-        this.data = { velocities: [], baselineVelocity: null, peakVelocity: null, dropFromBaseline: 0, repCount: 0, fatigueZone: 'FRESH' };
+
+    async getSessions() {
+        const db = await this.open();
+        return SessionStore.promisify(db.transaction('sessions').objectStore('sessions').getAll());
     }
-    addRep(velocity) {
-        const d = this.data;
-        d.velocities.push(velocity);
-        d.repCount++;
-        if (!d.peakVelocity || velocity > d.peakVelocity) d.peakVelocity = velocity;
-        
-        // Use first 3 reps as baseline
-        if (d.repCount === 3) {
-            d.baselineVelocity = d.velocities.reduce((a,b)=>a+b,0) / 3;
-        }
-        
-        if (d.baselineVelocity) {
-            d.dropFromBaseline = Math.max(0, ((d.baselineVelocity - velocity) / d.baselineVelocity) * 100);
-            if (d.dropFromBaseline < 5) d.fatigueZone = 'FRESH';
-            else if (d.dropFromBaseline < 10) d.fatigueZone = 'MILD';
-            else if (d.dropFromBaseline < 20) d.fatigueZone = 'MODERATE';
-            else if (d.dropFromBaseline < 30) d.fatigueZone = 'HIGH';
-            else d.fatigueZone = 'CRITICAL';
+
+    async getSession(sessionId = SessionStore.todayId()) {
+        const db = await this.open();
+        return SessionStore.promisify(db.transaction('sessions').objectStore('sessions').get(sessionId));
+    }
+
+    // athleteId: only that athlete's sets; null for everyone's
+    async getSets(sessionId = SessionStore.todayId(), athleteId = null) {
+        const db = await this.open();
+        const index = db.transaction('sets').objectStore('sets').index('sessionId');
+        const sets = SessionStore.forAthlete(await SessionStore.promisify(index.getAll(sessionId)), athleteId);
+        return sets.sort((a, b) => a.setNumber - b.setNumber);
+    }
+
+    async getAllSets(athleteId = null) {
+        const db = await this.open();
+        const sets = SessionStore.forAthlete(await SessionStore.promisify(db.transaction('sets').objectStore('sets').getAll()), athleteId);
+        return sets.sort((a, b) => a.sessionId.localeCompare(b.sessionId) || a.setNumber - b.setNumber);
+    }
+
+    static forAthlete(sets, athleteId) {
+        return athleteId === null ? sets : sets.filter(s => (s.athleteId || DEFAULT_ATHLETE_ID) === athleteId);
+    }
+
+    // Imported sets keep their day but are renumbered after the local ones.
+    // A set already present (same day and start time) is skipped.
+    async importSets(sets) {
+        let imported = 0;
+        for (const set of sets) {
+            const existing = await this.getSets(set.sessionId);
+            if (existing.some(s => s.startedAt === set.startedAt)) continue;
+            const { id, setNumber, ...record } = set;
+            await this.saveSet(record);
+            imported++;
         }
-        return d;
+        return imported;
     }
 }
 
-class VBTStateMachine {
+const sessionStore = new SessionStore();
+
+// --- Stored Settings (localStorage) ---
+// A value that no longer parses (edited by hand, cut off by a full quota) falls back
+// instead of stopping the app before it starts.
+function readJSON(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch (e) {
+        console.warn(`Ignoring unreadable ${key}`, e);
+        return fallback;
+    }
+}
+
+// --- Athlete Profiles (localStorage) ---
+// What belongs to a lifter rather than the device: height, calibration method, preferred
+// side and fatigue thresholds. Saved calibrations (vbt_calibrations) are keyed by athlete id
+// and history sets carry it. The first profile takes over the settings from before profiles
+// existed and keeps the id 'default', so earlier calibrations and sets stay with it.
+const DEFAULT_ATHLETE_ID = 'default';
+
+class AthleteProfiles {
     constructor() {
-        this.reset();
-        this.filters = {}; 
-        this.THRESHOLDS = {
-            RESET_DURATION_FRAMES: 45,
-            RACK_HOLD_FRAMES: 15,
-            VELOCITY_THRESHOLD: 0.5 
-        };
-        this.lastWristY = 0;
-        this.currentRepPeak = 0;
-        this.state = {
-            phase: 'IDLE', // IDLE, ECCENTRIC, CONCENTRIC
-            repStartY: 0,
-            resetProgress: 0
+        this.KEY = 'vbt_athletes';
+        const read = readJSON(this.KEY, null);
+        const stored = read?.athletes?.[read.activeId] ? read : null;
+        this.data = stored || {
+            activeId: DEFAULT_ATHLETE_ID,
+            athletes: {
+                [DEFAULT_ATHLETE_ID]: {
+                    id: DEFAULT_ATHLETE_ID,
+                    name: 'Athlete 1',
+                    height: parseFloat(localStorage.getItem('vbt_user_height')) || null,
+                    preferredSide: null,
+                    fatigueSettings: readJSON('vbt_fatigue_settings', {}),
+                    calibrationMethod: readJSON('vbt_calibration_method', null)
+                }
+            }
         };
+        if (!stored) this.save();
     }
 
-    reset() {
-        this.state = { phase: 'IDLE', repStartY: 0, resetProgress: 0 };
-        this.currentRepPeak = 0;
-        this.filters = {};
+    save() { localStorage.setItem(this.KEY, JSON.stringify(this.data)); }
+
+    get active() { return this.data.athletes[this.data.activeId]; }
+    get list() { return Object.values(this.data.athletes).sort((a, b) => a.name.localeCompare(b.name)); }
+
+    // Spoken names: exact match first, then first name ("athlete sam" finds "Sam Lee")
+    findByName(name) {
+        const wanted = name.trim().toLowerCase();
+        return this.list.find(a => a.name.toLowerCase() === wanted) ||
+            this.list.find(a => a.name.toLowerCase().split(/\s+/)[0] === wanted) || null;
     }
 
-    update(pose, timestamp, lockedSide, pixelsPerMeter) {
-        if (!lockedSide) return null;
+    create(name) {
+        const id = `athlete-${Date.now().toString(36)}`;
+        this.data.athletes[id] = { id, name, height: null, preferredSide: null, fatigueSettings: {}, calibrationMethod: null };
+        this.save();
+        return this.data.athletes[id];
+    }
 
-        // 1. Check Standing Reset (Hands Down)
-        if (this.checkStandingPose(pose)) {
-            this.state.resetProgress++;
-            if (this.state.resetProgress > this.THRESHOLDS.RESET_DURATION_FRAMES) {
-                return { type: 'STANDING_RESET' };
-            }
-        } else {
-            this.state.resetProgress = 0;
-        }
+    update(id, changes) {
+        Object.assign(this.data.athletes[id], changes);
+        this.save();
+    }
 
-        // 2. Velocity Tracking
-        const wrist = pose[lockedSide].WRIST;
-        
-        // Smooth Z
-        if (!this.filters.z) this.filters.z = new OneEuroFilter();
-        const smoothZ = this.filters.z.filter(wrist.z || 0, timestamp);
-        
-        // Calculate vertical velocity (simplified for VBT core)
-        // In a real scenario, use full 3D derivative
-        if (!this.lastTime) this.lastTime = timestamp;
-        const dt = (timestamp - this.lastTime) / 1000;
-        this.lastTime = timestamp;
-
-        if (dt <= 0) return null;
-
-        // Convert Y change to meters
-        // Note: Y increases downwards in canvas, so negative delta is Up
-        const dyPixels = (this.lastWristY - wrist.y); // Positive = Up
-        const dyMeters = dyPixels / pixelsPerMeter; // Canvas coords are normalized 0-1? 
-        // Wait, pose coordinates from my converter below are 0-1.
-        // pixelsPerMeter is calculated based on screen height pixels.
-        // So we need to multiply wrist.y by canvasHeight before using pixelsPerMeter?
-        // Let's assume input 'pose' is normalized. 
-        
-        // NOTE: The main loop passes normalized pose. 
-        // We need canvas height to get meters.
-        // Let's rely on the caller passing absolute pixels or handling the ratio.
-        // Actually, let's fix the interface: VBTStateMachine should assume normalized inputs 
-        // and a conversion factor that converts NORMALIZED units to METERS.
-        
-        // Let's assume pixelsPerMeter = (Pixels / Meter).
-        // Normalized Y * CanvasHeight = Pixels.
-        // Meters = (NormY * Height) / (Pixels/Meter).
-        // Meters = NormY * (Height / (Pixels/Meter)). 
-        // Let's just track normalized velocity and scale it at the end.
-        
-        const vy = (this.lastWristY - wrist.y) / dt; // Normalized units per second
-        this.lastWristY = wrist.y;
-
-        // Peak detection logic (Concentric phase)
-        if (vy > 0.05) { // Moving up
-             if (this.state.phase !== 'CONCENTRIC') {
-                 this.state.phase = 'CONCENTRIC';
-                 this.currentRepPeak = 0;
-             }
-             if (vy > this.currentRepPeak) this.currentRepPeak = vy;
-        } else if (vy < -0.05) { // Moving down
-            if (this.state.phase === 'CONCENTRIC') {
-                // End of rep detected (transition from up to down)
-                this.state.phase = 'ECCENTRIC';
-                // Return rep event
-                // We need to scale velocity to meters/sec here.
-                // Caller must provide conversion factor: metersPerNormalizedUnit
-                return { 
-                    type: 'REP', 
-                    velocityRaw: this.currentRepPeak 
-                };
-            }
-        }
+    remove(id) {
+        if (id === this.data.activeId) return false;
+        delete this.data.athletes[id];
+        this.save();
+        return true;
+    }
 
-        return null;
+    setActive(id) {
+        this.data.activeId = id;
+        this.save();
     }
 
-    checkStandingPose(pose) {
-        // Hands below hips
-        const lWrist = pose.LEFT.WRIST;
-        const lHip = pose.LEFT.HIP;
-        const rWrist = pose.RIGHT.WRIST;
-        const rHip = pose.RIGHT.HIP;
-        return (lWrist.y > lHip.y && rWrist.y > rHip.y);
+    // The shape VBTEngine.switchAthlete takes
+    static engineProfile(athlete) {
+        return {
+            name: athlete.name,
+            userHeight: athlete.height,
+            preferredSide: athlete.preferredSide,
+            fatigueSettings: athlete.fatigueSettings,
+            calibrationMethod: athlete.calibrationMethod
+        };
     }
 }
 
+const athleteProfiles = new AthleteProfiles();
+
+// --- History Export / Import ---
+const HistoryExport = {
+    FORMAT: 'vbt-history',
+    VERSION: 1,
+    CSV_COLUMNS: [
+        'session_id', 'athlete', 'set_number', 'exercise', 'side', 'bell_kg', 'metric', 'rep', 'velocity_mps', 'drop_from_baseline_pct', 'fatigue_zone',
+        'mean_velocity_mps', 'peak_velocity_mps', 'vertical_mean_velocity_mps', 'vertical_peak_velocity_mps', 'velocity_source', 'time_to_peak_s', 'concentric_duration_s', 'rom_m', 'mean_power_w', 'peak_power_w', 'left_velocity_mps', 'right_velocity_mps', 'scale_factor', 'scale_confidence', 'data_quality', 'hinge_depth_deg', 'knee_flexion_deg', 'torso_angle_deg', 'elbow_bend_deg', 'lockout_pct', 'technique_faults', 'timestamp'
+    ],
+
+    // One row per rep, values exactly as VelocityFatigueTracker.addRep recorded them.
+    // velocity_mps is the set's fatigue metric; older sets lack the kinematics columns.
+    // Double-bell sets (side BOTH) also carry each wrist's value of that metric.
+    // scale_factor is the camera-distance correction applied to the calibration (1 = none).
+    toRows(sets) {
+        const fixed = (value, digits) => (typeof value === 'number' ? Number(value.toFixed(digits)) : null);
+        return sets.flatMap(set => (set.reps || []).map((rep, i) => ({
+            session_id: set.sessionId,
+            athlete: set.athleteName || null,
+            set_number: set.setNumber,
+            exercise: set.exercise,
+            side: set.side,
+            bell_kg: set.bellMass,
+            metric: set.metric,
+            rep: i + 1,
+            velocity_mps: fixed(rep.velocity, 3),
+            drop_from_baseline_pct: fixed(rep.dropFromBaseline, 1),
+            fatigue_zone: rep.fatigueZone,
+            mean_velocity_mps: fixed(rep.meanVelocity, 3),
+            peak_velocity_mps: fixed(rep.peakVelocity, 3),
+            vertical_mean_velocity_mps: fixed(rep.verticalMeanVelocity, 3),
+            vertical_peak_velocity_mps: fixed(rep.verticalPeakVelocity, 3),
+            velocity_source: rep.source,
+            time_to_peak_s: fixed(rep.timeToPeak, 3),
+            concentric_duration_s: fixed(rep.duration, 3),
+            rom_m: fixed(rep.rom, 3),
+            mean_power_w: fixed(rep.meanPower, 0),
+            peak_power_w: fixed(rep.peakPower, 0),
+            left_velocity_mps: fixed(rep.sides?.LEFT?.[set.metric], 3),
+            right_velocity_mps: fixed(rep.sides?.RIGHT?.[set.metric], 3),
+            scale_factor: fixed(rep.scaleFactor, 3),
+            scale_confidence: fixed(rep.scaleConfidence, 2),
+            data_quality: fixed(rep.dataQuality, 2),
+            hinge_depth_deg: fixed(rep.technique?.hingeDepth, 0),
+            knee_flexion_deg: fixed(rep.technique?.kneeFlexion, 0),
+            torso_angle_deg: fixed(rep.technique?.torsoAngle, 0),
+            elbow_bend_deg: fixed(rep.technique?.elbowBend, 0),
+            lockout_pct: fixed(rep.technique ? rep.technique.lockout * 100 : null, 0),
+            technique_faults: rep.technique ? rep.technique.faults.join(';') : null,
+            timestamp: new Date(rep.timestamp).toISOString()
+        })));
+    },
+
+    toCSV(sets) {
+        const escape = (value) => {
+            const str = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        const lines = this.toRows(sets).map(row => this.CSV_COLUMNS.map(c => escape(row[c])).join(','));
+        return [this.CSV_COLUMNS.join(','), ...lines].join('\n');
+    },
+
+    toJSON(sets) {
+        return JSON.stringify({
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            sets
+        }, null, 2);
+    },
+
+    // Resolves to { sets, skipped }: sets that fail isValidSet are left out and counted
+    parseJSON(text) {
+        const data = JSON.parse(text);
+        if (data.format !== this.FORMAT || !Array.isArray(data.sets)) {
+            throw new Error('Not a VBT history export');
+        }
+        if (data.version > this.VERSION) {
+            throw new Error(`Unsupported export version ${data.version}`);
+        }
+        const sets = data.sets.filter(set => this.isValidSet(set));
+        return { sets, skipped: data.sets.length - sets.length };
+    },
+
+    // Summaries look the exercise up in EXERCISE_PROFILES, so an unknown one is skipped too
+    isValidSet(set) {
+        return !!set && typeof set.sessionId === 'string' && !!EXERCISE_PROFILES[set.exercise] &&
+            Array.isArray(set.reps) && set.reps.every(rep => this.isValidRep(rep));
+    },
+
+    // The reports, charts and CSV do arithmetic on these, so a set with a malformed rep is skipped
+    isValidRep(rep) {
+        return !!rep && Number.isFinite(rep.velocity) && Number.isFinite(rep.timestamp) &&
+            (rep.dropFromBaseline == null || Number.isFinite(rep.dropFromBaseline)) &&
+            (rep.fatigueZone == null || typeof rep.fatigueZone === 'string');
+    },
+
+    download(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
+
 // ============================================================================
-// 4. MAIN APPLICATION
+// 2. MAIN APPLICATION
 // ============================================================================
 
 const video = document.getElementById('video');
@@ -558,16 +705,37 @@ const voiceTranscript = document.getElementById('voice-transcript');
 const progressRing = document.querySelector('.progress-ring__circle');
 const overlayCenter = document.getElementById('overlay-center');
 const overlayText = document.getElementById('overlay-text');
+const performanceMeter = new PerformanceMeter(document.getElementById('perf-readout'));
 
-let landmarker;
+let poseDetector = null;
+const poseModelSelector = new PoseModelSelector();
+let poseModelSetting = localStorage.getItem('vbt_pose_model') || 'AUTO'; // AUTO or a POSE_MODELS key
 let lastVideoTime = -1;
-let gestureDetector = new GestureDetector();
-let calibrationSystem = new CalibrationSystem();
-let vbtMachine = new VBTStateMachine();
-let fatigueTracker = new VelocityFatigueTracker();
+let lastFrameTimestamp = -1;
+let videoAnalysis = null; // { fileName, sets, cancelled } while an uploaded clip is processed
+let landmarkRecorder = new LandmarkRecorder();
+
+const startingAthlete = athleteProfiles.active;
+const engine = new VBTEngine({
+    userHeight: startingAthlete.height,
+    exercise: localStorage.getItem('vbt_exercise'),
+    metric: localStorage.getItem('vbt_metric') || undefined,
+    bellMass: parseFloat(localStorage.getItem('vbt_bell_mass')) || null,
+    fatigueSettings: startingAthlete.fatigueSettings,
+    gestureMap: readJSON('vbt_gesture_map', null),
+    calibrationMethod: startingAthlete.calibrationMethod,
+    noRepFaults: localStorage.getItem('vbt_no_rep_faults') !== '0'
+});
+const appState = engine.state;
+appState.setAthlete(startingAthlete.name, startingAthlete.preferredSide);
+engine.setBilateral(localStorage.getItem('vbt_bilateral') === '1');
+// Created before init() subscribes, so SET_END reaches it (and annotates the set) before saveSet
+const workoutRunner = new WorkoutRunner(engine);
 
 // Init
 async function init() {
+    setupOfflineSupport();
+
     // 1. App State Listener
     appState.subscribe(state => {
         uiPrompt.textContent = state.promptText;
@@ -582,28 +750,133 @@ async function init() {
         // Triggers
         if (state.currentState === APP_STATES.CALIBRATING && state.calibrationProgress === 0) {
             audioFeedback.calibrationStart();
-            calibrationSystem.reset();
         }
         
         if (state.currentState === APP_STATES.BETWEEN_SETS) {
             document.getElementById('set-info').textContent = "Resting...";
+        } else {
+            document.getElementById('set-info').textContent = `#${state.setNumber}`;
         }
     });
 
-    // 2. Voice
-    const voice = new VoiceCommandSystem({
-        onCommand: (intent, text) => {
+    // Resume today's set numbering from history
+    await resumeSetNumbering();
+
+    // 2. Engine Events
+    engine.on(ENGINE_EVENTS.GESTURE, ({ gesture, progress, action, applied }) => {
+        if (applied && action !== 'CALIBRATE') {
             audioFeedback.command();
+            showBanner(`${GESTURES[gesture].label}: ${GESTURE_ACTIONS[action]}`, 2000);
+        }
+        const holding = gesture?.endsWith('_HOLDING') ? GESTURES[gesture.slice(0, -'_HOLDING'.length)] : null;
+        if (holding) updateRing(progress, `HOLD\n${holding.label.toUpperCase()}`);
+        else hideRing();
+    });
+    const rejectionText = { NOT_IN_FRAME: 'STEP INTO\nFULL VIEW', LOW_VISIBILITY: 'IMPROVE\nLIGHTING', MOVING: 'HOLD\nSTILL' };
+    engine.on(ENGINE_EVENTS.CALIBRATION_PROGRESS, ({ progress, rejection }) => updateRing(progress, rejectionText[rejection] || "CALIBRATING"));
+    engine.on(ENGINE_EVENTS.CALIBRATED, ({ confidence, restored, distanceTracking }) => {
+        if (!restored && !videoAnalysis) saveCalibration();
+        // Without upright torso and shin lengths from calibration, distance changes go uncorrected
+        const stayPut = distanceTracking ? '' : ' - stay this far from the camera';
+        if (!restored && confidence !== null) {
+            const pct = Math.round(confidence * 100);
+            showBanner((pct < 50 ? `Calibration confidence ${pct}% - hold still or try another method` : `Calibrated (confidence ${pct}%)`) + stayPut, 3000);
+        } else if (!distanceTracking) {
+            showBanner('Calibrated without distance tracking - stay this far from the camera or T-pose to recalibrate', 3000);
+        }
+        audioFeedback.calibrationComplete();
+        hideRing();
+    });
+    engine.on(ENGINE_EVENTS.STATE_CHANGE, ({ state }) => {
+        speechFeedback.announceState(appState);
+        if (state === APP_STATES.CALIBRATING && !engine.calibration.usesLandmarks) startReferenceMeasurement();
+    });
+    engine.on(ENGINE_EVENTS.SET_START, () => audioFeedback.setStart());
+    engine.on(ENGINE_EVENTS.FATIGUE_ZONE_CHANGE, ({ zone }) => speechFeedback.zone(zone));
+    const sideVelocity = (side) => (side ? side[engine.tracker.metric].toFixed(2) : '-');
+    engine.on(ENGINE_EVENTS.REP, ({ velocity, kinematics, stats }) => {
+        audioFeedback.rep();
+        speechFeedback.rep(velocity);
+        document.getElementById('rep-count').textContent = stats.repCount;
+        document.getElementById('last-velocity').textContent = velocity.toFixed(2);
+        document.getElementById('last-kinematics').textContent =
+            `3D mean ${kinematics.meanVelocity.toFixed(2)} / peak ${kinematics.peakVelocity.toFixed(2)} m/s, ` +
+            `vert mean ${kinematics.verticalMeanVelocity.toFixed(2)} / peak ${kinematics.verticalPeakVelocity.toFixed(2)} m/s, ` +
+            `ROM ${kinematics.rom.toFixed(2)} m, ${kinematics.duration.toFixed(2)} s` +
+            (kinematics.source === 'image' ? ' (2D)' : '') +
+            (kinematics.meanPower !== null ? `, ${Math.round(kinematics.meanPower)} W` : '') +
+            (kinematics.sides ? `, L ${sideVelocity(kinematics.sides.LEFT)} / R ${sideVelocity(kinematics.sides.RIGHT)} m/s` : '') +
+            (Math.abs(kinematics.scaleFactor - 1) >= 0.02 ? `, scale x${kinematics.scaleFactor.toFixed(2)}` : '') +
+            (kinematics.distanceWarning ? ' (moved, recalibrate)' : '') +
+            (kinematics.dataQuality < 0.8 ? `, quality ${Math.round(kinematics.dataQuality * 100)}%` : '');
+        showTechnique(kinematics.technique);
+        document.getElementById('fatigue-zone').textContent = stats.fatigueZone;
+        document.getElementById('fatigue-zone').style.color = ZONE_COLORS[stats.fatigueZone];
+    });
+    engine.on(ENGINE_EVENTS.SAMPLE, sample => motionOverlay.addSample(sample));
+    engine.on(ENGINE_EVENTS.REP, ({ kinematics, timestamp }) => motionOverlay.addRep(kinematics, timestamp));
+    engine.on(ENGINE_EVENTS.SET_START, () => {
+        motionOverlay.reset();
+        document.getElementById('set-summary-modal').classList.add('hidden');
+    });
+    engine.on(ENGINE_EVENTS.REP_UNDONE, ({ rep, stats }) => {
+        document.getElementById('rep-count').textContent = stats.repCount;
+        document.getElementById('last-velocity').textContent = engine.lastRep ? engine.lastRep.velocity.toFixed(2) : '0.00';
+        document.getElementById('fatigue-zone').textContent = stats.fatigueZone;
+        showBanner(`Rep ${rep} removed`, 2000);
+    });
+    engine.on(ENGINE_EVENTS.REP_REJECTED, ({ reason, faults, kinematics }) => {
+        audioFeedback.repRejected();
+        if (reason === 'TECHNIQUE') {
+            showTechnique(kinematics.technique);
+            showBanner(`No rep: ${faults.map(f => TECHNIQUE_FAULTS[f].label.toLowerCase()).join(', ')}`, 3000);
+        } else {
+            showBanner('Rep not counted - the bell or arm was hidden for too much of it', 3000);
+        }
+    });
+    engine.on(ENGINE_EVENTS.TRACKING_LOST, () => showBanner('Tracking lost - keep your arm and hips in view', 60000));
+    engine.on(ENGINE_EVENTS.TRACKING_RESTORED, () => showBanner('Tracking restored', 1500));
+    engine.on(ENGINE_EVENTS.SCALE_DRIFT, ({ distanceChange }) => {
+        const pct = Math.round(Math.abs(distanceChange) * 100);
+        showBanner(`You are ${pct}% ${distanceChange > 0 ? 'farther from' : 'closer to'} the camera than at calibration - T-pose between sets to recalibrate`, 5000);
+    });
+    engine.on(ENGINE_EVENTS.TARGET_LOSS_REACHED, ({ dropFromBaseline, targetLoss }) => {
+        audioFeedback.targetReached();
+        showBanner(`Velocity loss ${dropFromBaseline.toFixed(0)}% (target ${targetLoss}%) - set ended`);
+    });
+    engine.on(ENGINE_EVENTS.SET_END, ({ set }) => {
+        audioFeedback.setEnd();
+        if (set) motionOverlay.lastSet = set;
+        if (set && !videoAnalysis) showSetSummary(set);
+        if (set) {
+            speechFeedback.setSummary(set);
+            saveSet(set);
+        }
+    });
+
+    // 3. Voice
+    const voice = new VoiceCommandSystem({
+        onCommand: (intent, text, params) => {
+            landmarkRecorder.captureCommand(intent, lastFrameTimestamp, Object.keys(params).length ? params : null);
             voiceTranscript.textContent = `"${text}"`;
-            
-            if (intent === 'CALIBRATE' && appState.canAcceptCalibrationTrigger) {
-                appState.startCalibration();
-            } else if (intent === 'RESET_SIDE' && appState.canAcceptResetCommand) {
-                appState.endSet();
-                vbtMachine.reset();
-                fatigueTracker.reset(); // New set
-                audioFeedback.setEnd();
+
+            if (coachSession) {
+                const accepted = coachCommand(intent, params);
+                voiceTranscript.textContent = `"${text}" (${accepted ? 'everyone' : 'not in coach mode'})`;
+                if (accepted) audioFeedback.command();
+                return;
             }
+
+            // Commands that don't fit the current state are dropped
+            if (!engine.command(intent, params)) {
+                voiceTranscript.textContent = `"${text}" (not now)`;
+                return;
+            }
+            audioFeedback.command();
+            applyVoiceCommand(intent, params);
+        },
+        onRejected: (text, reason) => {
+            voiceTranscript.textContent = `"${text}" (ignored, ${reason})`;
         },
         onListeningChange: (isListening) => {
             if (isListening) voiceIndicator.classList.remove('hidden');
@@ -612,10 +885,15 @@ async function init() {
         onTranscript: (text) => {
             voiceTranscript.textContent = text;
         }
+    }, {
+        wakeWord: localStorage.getItem('vbt_wake_word') || '',
+        minConfidence: parseFloat(localStorage.getItem('vbt_voice_confidence') ?? '0.5')
     });
     voice.start();
+    speechFeedback.onSpeakingChange = (speaking) => voice.setMuted(speaking);
+    setupVoiceSettings(voice);
 
-    // 3. Camera
+    // 4. Camera
     const constraints = { 
         video: { 
             facingMode: 'user',
@@ -631,141 +909,1521 @@ async function init() {
         uiPrompt.textContent = "Camera Error: " + e.message;
     }
     
-    // 4. MediaPipe
-    const vision = await FilesetResolver.forVisionTasks("https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm");
-    landmarker = await PoseLandmarker.createFromOptions(vision, {
-        baseOptions: {
-            modelAssetPath: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_full/float16/1/pose_landmarker_full.task",
-            delegate: "GPU"
-        },
-        runningMode: "VIDEO"
-    });
+    // 5. MediaPipe (in a worker). Without a model the controls are still set up; the loop
+    // just has nothing to detect with.
+    poseDetector = new PoseDetector();
+    try {
+        await loadInitialPoseModel();
+    } catch (e) {
+        console.error("Pose model error", e);
+        uiPrompt.textContent = "Error Loading AI: " + e.message;
+    }
 
-    // 5. DOM Events
+    // 6. DOM Events
     document.getElementById('btn-save-height').onclick = () => {
         const val = document.getElementById('height-input').value;
         if (val) {
-            appState.setHeight(val);
+            athleteProfiles.update(athleteProfiles.active.id, { height: parseFloat(val) });
+            engine.setUserHeight(parseFloat(val));
             audioFeedback.unlock();
             voice.start();
         }
     };
     
+    const exerciseSelect = document.getElementById('exercise-select');
+    exerciseSelect.innerHTML = Object.values(EXERCISE_PROFILES)
+        .map(p => `<option value="${p.id}">${p.label}</option>`).join('');
+    exerciseSelect.value = appState.exercise;
+    exerciseSelect.onchange = () => {
+        if (engine.setExercise(exerciseSelect.value)) {
+            localStorage.setItem('vbt_exercise', exerciseSelect.value);
+            coachSession?.forEachEngine(e => e.setExercise(exerciseSelect.value));
+        } else {
+            exerciseSelect.value = appState.exercise; // Locked while a set is tracked
+        }
+    };
+
+    const bilateralToggle = document.getElementById('bilateral-toggle');
+    bilateralToggle.checked = appState.bilateral;
+    bilateralToggle.onchange = () => {
+        if (engine.setBilateral(bilateralToggle.checked)) {
+            localStorage.setItem('vbt_bilateral', bilateralToggle.checked ? '1' : '0');
+            coachSession?.forEachEngine(e => e.setBilateral(bilateralToggle.checked));
+        } else {
+            bilateralToggle.checked = appState.bilateral;
+        }
+    };
+
+    const noRepToggle = document.getElementById('norep-toggle');
+    noRepToggle.checked = engine.noRepFaults;
+    noRepToggle.onchange = () => {
+        engine.noRepFaults = noRepToggle.checked;
+        coachSession?.forEachEngine(e => { e.noRepFaults = noRepToggle.checked; });
+        localStorage.setItem('vbt_no_rep_faults', noRepToggle.checked ? '1' : '0');
+    };
+
+    setupAthletes();
+    document.getElementById('btn-coach').onclick = () => setCoachMode(!coachSession);
+    document.getElementById('btn-asymmetry').onclick = showAsymmetryReport;
+    document.getElementById('btn-session').onclick = showSessionDashboard;
+    setupWorkouts();
+
+    const metricSelect = document.getElementById('metric-select');
+    metricSelect.innerHTML = Object.entries(VELOCITY_METRICS)
+        .map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+    metricSelect.value = engine.tracker.metric;
+    metricSelect.onchange = () => {
+        if (engine.setMetric(metricSelect.value)) {
+            localStorage.setItem('vbt_metric', metricSelect.value);
+            coachSession?.forEachEngine(e => e.setMetric(metricSelect.value));
+        } else {
+            metricSelect.value = engine.tracker.metric;
+        }
+    };
+
+    const bellMassInput = document.getElementById('bell-mass');
+    bellMassInput.value = engine.bellMass || '';
+    bellMassInput.onchange = () => {
+        engine.setBellMass(parseFloat(bellMassInput.value));
+        localStorage.setItem('vbt_bell_mass', engine.bellMass || '');
+        coachSession?.forEachEngine(e => e.setBellMass(engine.bellMass));
+    };
+
+    setupFatigueSettings();
+    setupLoadVelocityProfile();
+    setupGestureSettings();
+    setupCalibrationSettings();
+
+    const modelSelect = document.getElementById('model-select');
+    modelSelect.innerHTML = '<option value="AUTO">Model: Auto</option>' + Object.entries(POSE_MODELS)
+        .map(([id, model]) => `<option value="${id}">Model: ${model.label}</option>`).join('');
+    modelSelect.value = poseModelSetting;
+    modelSelect.onchange = () => {
+        poseModelSetting = modelSelect.value;
+        localStorage.setItem('vbt_pose_model', poseModelSetting);
+        if (poseModelSetting === 'AUTO') {
+            poseModelSelector.ceiling = POSE_MODEL_ORDER.length - 1;
+            poseModelSelector.reset();
+        } else if (poseModelSetting !== poseDetector.model) {
+            switchPoseModel(poseModelSetting);
+        }
+    };
+
+    const speechSelect = document.getElementById('speech-select');
+    speechSelect.innerHTML = Object.entries(SPEECH_LEVELS)
+        .map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+    speechFeedback.setLevel(localStorage.getItem('vbt_speech_level') || 'OFF');
+    speechSelect.value = speechFeedback.level;
+    speechSelect.onchange = () => {
+        speechFeedback.setLevel(speechSelect.value);
+        localStorage.setItem('vbt_speech_level', speechFeedback.level);
+        speechFeedback.announceState(appState);
+    };
+
     document.getElementById('btn-unlock-audio').onclick = () => {
         audioFeedback.unlock();
         document.getElementById('btn-unlock-audio').classList.add('hidden');
     };
 
-    requestAnimationFrame(loop);
+    const exportHistory = async (extension, serialize, mimeType) => {
+        try {
+            const sets = await sessionStore.getAllSets();
+            HistoryExport.download(`vbt-history-${SessionStore.todayId()}.${extension}`, serialize(sets), mimeType);
+        } catch (e) {
+            console.error('Export failed', e);
+            showBanner(`Export failed: ${e.message || e}`);
+        }
+    };
+    document.getElementById('btn-export-csv').onclick = () => exportHistory('csv', sets => HistoryExport.toCSV(sets), 'text/csv');
+    document.getElementById('btn-export-json').onclick = () => exportHistory('json', sets => HistoryExport.toJSON(sets), 'application/json');
+
+    const importInput = document.getElementById('import-input');
+    document.getElementById('btn-import').onclick = () => importInput.click();
+    importInput.onchange = async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        try {
+            const { sets, skipped } = HistoryExport.parseJSON(await file.text());
+            const imported = await sessionStore.importSets(sets);
+            await resumeSetNumbering();
+            uiPrompt.textContent = `Imported ${imported} set(s)` + (skipped ? `, skipped ${skipped} invalid` : '');
+        } catch (e) {
+            console.error('Import failed', e);
+            uiPrompt.textContent = "Import Error: " + e.message;
+        }
+    };
+
+    const videoInput = document.getElementById('video-input');
+    document.getElementById('btn-analyze-video').onclick = () => {
+        if (videoAnalysis) videoAnalysis.cancelled = true;
+        else videoInput.click();
+    };
+    videoInput.onchange = () => {
+        const file = videoInput.files[0];
+        videoInput.value = '';
+        if (file) analyzeVideoFile(file);
+    };
+
+    const recordButton = document.getElementById('btn-record');
+    recordButton.onclick = () => {
+        if (!landmarkRecorder.isRecording) {
+            if (coachSession) {
+                showBanner('Recordings hold a single lifter - leave coach mode to record', 3000);
+                return;
+            }
+            landmarkRecorder.start({
+                userHeight: appState.userHeight,
+                startState: appState.currentState,
+                lockedSide: appState.lockedSide,
+                exercise: appState.exercise,
+                bilateral: appState.bilateral,
+                metric: engine.tracker.metric,
+                fatigueSettings: engine.fatigueSettings,
+                gestureMap: engine.gestureMap,
+                noRepFaults: engine.noRepFaults,
+                calibrationMethod: { method: engine.calibration.method, lengthCm: engine.calibration.lengthCm },
+                pixelToCmRatio: engine.calibration.pixelToCmRatio
+            });
+            recordButton.textContent = 'Stop Recording';
+            return;
+        }
+        const recording = landmarkRecorder.stop();
+        recordButton.textContent = 'Record';
+        const stamp = recording.recordedAt.replace(/[:.]/g, '-');
+        HistoryExport.download(`vbt-landmarks-${stamp}.json`, JSON.stringify(recording), 'application/json');
+    };
+
+    const replayInput = document.getElementById('replay-input');
+    document.getElementById('btn-replay').onclick = () => replayInput.click();
+    replayInput.onchange = async () => {
+        const file = replayInput.files[0];
+        replayInput.value = '';
+        if (!file) return;
+        try {
+            const result = new ReplayHarness(LandmarkRecorder.parse(await file.text())).run();
+            showReplayReport(file.name, result);
+        } catch (e) {
+            console.error('Replay failed', e);
+            uiPrompt.textContent = "Replay Error: " + e.message;
+        }
+    };
+
+    document.getElementById('btn-close-report').onclick = () => {
+        document.getElementById('report-modal').classList.add('hidden');
+    };
+    document.getElementById('btn-close-set-summary').onclick = () => {
+        document.getElementById('set-summary-modal').classList.add('hidden');
+    };
+    document.getElementById('btn-close-session').onclick = () => {
+        document.getElementById('session-modal').classList.add('hidden');
+    };
+
+    restoreSavedCalibration();
+    scheduleFrame();
+}
+
+// The chosen model, or Lite when that one fails to load (e.g. Heavy offline and never cached)
+async function loadInitialPoseModel() {
+    const model = poseModelSetting === 'AUTO' ? 'LITE' : poseModelSetting;
+    try {
+        await poseDetector.load(model);
+    } catch (e) {
+        if (model === 'LITE') throw e;
+        console.warn(`Loading the ${POSE_MODELS[model].label} model failed`, e);
+        await poseDetector.load('LITE');
+        showBanner(`${POSE_MODELS[model].label} model unavailable, using Lite`, 3000);
+    }
 }
 
 // Main Loop
-function loop(timestamp) {
-    requestAnimationFrame(loop);
+// Runs once per new camera frame (requestVideoFrameCallback) with the frame's capture time,
+// or its expected display time where the browser doesn't report capture, so velocities
+// follow the camera's clock rather than the display refresh. Without it the loop runs on
+// requestAnimationFrame and a frame is timed when it is drawn.
+const liveFrameCallback = 'requestVideoFrameCallback' in HTMLVideoElement.prototype;
+let liveFrame = null; // The live frame being processed, settled before analysis swaps sources
+
+function scheduleFrame() {
+    if (liveFrameCallback) video.requestVideoFrameCallback((now, metadata) => loop(metadata.captureTime ?? metadata.expectedDisplayTime));
+    else requestAnimationFrame(loop);
+}
+
+function loop(frameTime) {
+    scheduleFrame();
+
+    // Uploaded clips are stepped by analyzeVideoFile() instead
+    if (videoAnalysis) return;
 
-    // Canvas Resize
+    resizeCanvas();
+
+    // Frames that arrive while the worker is busy are skipped
+    if ((liveFrameCallback || video.currentTime !== lastVideoTime) && poseDetector.ready) {
+        lastVideoTime = video.currentTime;
+        liveFrame = processFrame(frameTime).catch(e => console.error('Pose detection failed', e));
+    }
+}
+
+function resizeCanvas() {
     if (canvas.width !== window.innerWidth || canvas.height !== window.innerHeight) {
         canvas.width = window.innerWidth;
         canvas.height = window.innerHeight;
     }
+}
 
-    if (video.currentTime !== lastVideoTime) {
-        lastVideoTime = video.currentTime;
-        
-        const results = landmarker.detectForVideo(video, timestamp);
-        
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        // Draw video (Mirrored via CSS, so we draw normal)
-        ctx.save();
-        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-        ctx.restore();
+// Detect, draw and run the VBT pipeline for whatever frame the <video> currently shows.
+// Frames older than the last one from the same source are dropped; PoseDetector keeps the
+// timestamps MediaPipe VIDEO mode sees strictly increasing across sources. The video element shows
+// the camera itself; the canvas only holds the overlays.
+async function processFrame(timestamp) {
+    if (timestamp <= lastFrameTimestamp) return;
+    lastFrameTimestamp = timestamp;
+
+    const results = await poseDetector.detect(video, timestamp);
+    performanceMeter.addFrame(results.latency, POSE_MODELS[poseDetector.model].label);
+    adaptPoseModel(results.latency);
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Calibration and the image-plane fallback scale by the source video, not the window
+    const frameHeight = video.videoHeight || canvas.height;
+    const frameWidth = video.videoWidth || canvas.width;
+
+    if (coachSession) {
+        const poses = (results.landmarks || []).map((landmarks, i) => poseFromLandmarks(landmarks, results.worldLandmarks?.[i]));
+        coachSession.processFrame(poses, timestamp, frameHeight, frameWidth).forEach(({ id, pose }) => {
+            drawSkeleton(ctx, pose, personColor(id));
+            drawPersonLabel(ctx, coachSession.person(id), pose);
+        });
+        return;
+    }
 
-        if (results.landmarks && results.landmarks.length > 0) {
-            const raw = results.landmarks[0];
-            const pose = {
-                LEFT: { WRIST: raw[15], ELBOW: raw[13], SHOULDER: raw[11], HIP: raw[23], KNEE: raw[25], ANKLE: raw[27], NOSE: raw[0] },
-                RIGHT: { WRIST: raw[16], ELBOW: raw[14], SHOULDER: raw[12], HIP: raw[24], KNEE: raw[26], ANKLE: raw[28] }
-            };
+    if (results.landmarks && results.landmarks.length > 0) {
+        const pose = poseFromLandmarks(results.landmarks[0], results.worldLandmarks?.[0]);
+
+        // Draw Skeleton
+        drawSkeleton(ctx, pose);
 
-            // Draw Skeleton
-            drawSkeleton(ctx, pose);
+        landmarkRecorder.captureFrame(pose, timestamp, frameHeight, frameWidth);
+        engine.processFrame(pose, timestamp, frameHeight, frameWidth);
+    }
+    motionOverlay.draw(ctx);
+}
 
-            const state = appState.currentState;
+// Automatic model choice: a slower model is only taken up between sets, a faster one at once
+function adaptPoseModel(latency) {
+    if (poseModelSetting !== 'AUTO' || videoAnalysis) return;
+    const next = poseModelSelector.addSample(poseDetector.model, latency);
+    if (!next) return;
+    const upgrade = POSE_MODEL_ORDER.indexOf(next) > POSE_MODEL_ORDER.indexOf(poseDetector.model);
+    const tracking = appState.currentState === APP_STATES.TRACKING ||
+        [...(coachSession?.people.values() || [])].some(p => p.engine.state.currentState === APP_STATES.TRACKING);
+    if (upgrade && tracking) return;
+    switchPoseModel(next);
+}
 
-            // --- GESTURE DETECTION (Awaiting & Between Sets) ---
-            if (state === APP_STATES.AWAITING_CALIBRATION || state === APP_STATES.BETWEEN_SETS) {
-                const gesture = gestureDetector.update(pose);
-                if (gesture?.gesture === 'T_POSE') {
-                    appState.startCalibration();
-                } else if (gesture?.gesture === 'T_POSE_HOLDING') {
-                    updateRing(gesture.progress, "HOLD T-POSE");
-                } else {
-                    hideRing();
-                }
-            }
+// A model that fails to load (e.g. offline and never cached) is not offered again
+function switchPoseModel(model) {
+    const previous = poseDetector.model;
+    poseModelSelector.reset();
+    poseDetector.load(model)
+        .then(() => showBanner(`Pose model: ${POSE_MODELS[model].label}`, 2000))
+        .catch(e => {
+            console.warn(`Loading the ${POSE_MODELS[model].label} model failed`, e);
+            poseModelSelector.ceiling = Math.min(poseModelSelector.ceiling, POSE_MODEL_ORDER.indexOf(previous));
+            showBanner(`${POSE_MODELS[model].label} model unavailable, staying on ${POSE_MODELS[previous].label}`, 3000);
+            return poseDetector.load(previous);
+        })
+        .catch(e => console.error('Pose model reload failed', e));
+}
 
-            // --- CALIBRATION ---
-            if (state === APP_STATES.CALIBRATING) {
-                const progress = calibrationSystem.captureFrame(pose, canvas.height);
-                appState.updateCalibrationProgress(progress);
-                updateRing(progress, "CALIBRATING");
-                
-                if (progress >= 1.0) {
-                    calibrationSystem.finalize(appState.userHeight);
-                    appState.calibrationComplete();
-                    audioFeedback.calibrationComplete();
-                    hideRing();
-                }
+// Set Lifecycle
+// athlete defaults to the active profile; coach mode passes the lifter's assigned one
+function saveSet(set, athlete = athleteProfiles.active) {
+    if (videoAnalysis) {
+        set.source = { type: 'video', fileName: videoAnalysis.fileName };
+        videoAnalysis.sets.push(set);
+    }
+    const active = athlete.id === athleteProfiles.active.id;
+    set.athleteId = athlete.id;
+    set.athleteName = athlete.name;
+    sessionStore.saveSet(set)
+        .then(saved => {
+            if (active) appState.setCompletedSets(saved.setNumber);
+            // The set is already saved, so a failed profile check must not roll back the count
+            if (saved.bellMass) return checkAgainstProfile(saved).catch(e => console.warn('Failed to check set against profile', e));
+        })
+        .catch(e => {
+            console.warn('Failed to save set', e);
+            if (active) appState.setCompletedSets(appState.setNumber);
+        });
+}
+
+// Uploaded Video Analysis
+// The clip is paused and seeked one frame at a time; each frame is timestamped with the
+// media time of the decoded frame (requestVideoFrameCallback), so velocities are real-time
+// regardless of processing speed and frame rate. Seeks that land on the frame already
+// processed are skipped. Without requestVideoFrameCallback the clip is stepped at 30 fps.
+const VIDEO_FRAME_STEP = 1 / 30; // seconds, fallback step
+const MAX_VIDEO_FRAME_RATE = 120; // Finest step while the clip's frame spacing is unknown
+const FRAME_WAIT_MS = 100; // A seek within the shown frame presents no new frame
+
+function waitForEvent(target, name) {
+    return new Promise((resolve, reject) => {
+        const onEvent = () => { cleanup(); resolve(); };
+        const onError = () => { cleanup(); reject(target.error || new Error(`Failed waiting for ${name}`)); };
+        const cleanup = () => {
+            target.removeEventListener(name, onEvent);
+            target.removeEventListener('error', onError);
+        };
+        target.addEventListener(name, onEvent);
+        target.addEventListener('error', onError);
+    });
+}
+
+// Resolves to the media time of the frame shown after seeking to target, or null when
+// no new frame was presented
+async function seekToFrame(target) {
+    if (!('requestVideoFrameCallback' in video)) {
+        video.currentTime = target;
+        await waitForEvent(video, 'seeked');
+        return video.currentTime;
+    }
+    let handle;
+    const presented = new Promise(resolve => {
+        handle = video.requestVideoFrameCallback((now, metadata) => resolve(metadata.mediaTime));
+    });
+    video.currentTime = target;
+    await waitForEvent(video, 'seeked');
+    const mediaTime = await Promise.race([presented, new Promise(resolve => setTimeout(() => resolve(null), FRAME_WAIT_MS))]);
+    if (mediaTime === null) video.cancelVideoFrameCallback(handle);
+    return mediaTime;
+}
+
+// Frames from the next source are timed on its own clock, so the engine starts over
+function switchFrameSource() {
+    poseDetector.newSource();
+    lastFrameTimestamp = -1;
+    engine.requireCalibration();
+}
+
+async function analyzeVideoFile(file) {
+    if (videoAnalysis || !poseDetector?.model) return;
+    if (coachSession) {
+        showBanner('Leave coach mode to analyze a video', 3000);
+        return;
+    }
+    if (!appState.userHeight) {
+        uiPrompt.textContent = "Enter your height before analyzing a video";
+        return;
+    }
+
+    videoAnalysis = { fileName: file.name, sets: [], cancelled: false };
+    const liveStream = video.srcObject;
+    const fileUrl = URL.createObjectURL(file);
+    const status = document.getElementById('analysis-status');
+    const analyzeButton = document.getElementById('btn-analyze-video');
+    status.classList.remove('hidden');
+    analyzeButton.textContent = 'Cancel Analysis';
+    canvas.classList.add('unmirrored');
+    video.classList.add('unmirrored');
+
+    try {
+        // Same pipeline as live, on the clip's own clock: the clip must contain the T-pose
+        // calibration. A live frame still in the worker finishes on the old source first.
+        await liveFrame;
+        switchFrameSource();
+
+        video.srcObject = null;
+        video.src = fileUrl;
+        await waitForEvent(video, 'loadedmetadata');
+        video.pause();
+
+        const exactFrames = 'requestVideoFrameCallback' in video;
+        let interval = exactFrames ? null : VIDEO_FRAME_STEP; // Frame spacing, learned from the clip
+        let previous = null;
+        let target = 0;
+        while (target < video.duration && !videoAnalysis.cancelled) {
+            const mediaTime = await seekToFrame(target);
+            if (mediaTime === null || (previous !== null && mediaTime <= previous)) {
+                target += 1 / MAX_VIDEO_FRAME_RATE; // Same frame again
+                continue;
             }
+            if (exactFrames && previous !== null) interval = Math.min(interval ?? Infinity, mediaTime - previous);
+            previous = mediaTime;
+
+            resizeCanvas();
+            await processFrame(mediaTime * 1000);
+            status.textContent = `Analyzing ${file.name}: ${Math.round((mediaTime / video.duration) * 100)}%`;
+            // Aim for the middle of the next frame
+            if (!exactFrames) target = mediaTime + interval;
+            else target = mediaTime + (interval !== null ? interval * 1.5 : 1 / MAX_VIDEO_FRAME_RATE);
+        }
 
-            // --- READY (Side Lock) ---
-            if (state === APP_STATES.READY_FOR_SET) {
-                // Detect side
-                if (Math.abs(pose.LEFT.WRIST.y - pose.RIGHT.WRIST.y) > 0.15) {
-                    const locked = pose.LEFT.WRIST.y < pose.RIGHT.WRIST.y ? 'LEFT' : 'RIGHT'; // Y is inverted visually? No, 0 is top. Smaller Y is higher.
-                    appState.lockSide(locked);
-                    audioFeedback.setStart();
-                    vbtMachine.reset();
-                }
+        if (appState.currentState === APP_STATES.TRACKING) engine.finishSet('END_OF_VIDEO');
+        showVideoReport(videoAnalysis);
+    } catch (e) {
+        console.error("Video analysis error", e);
+        uiPrompt.textContent = "Video Error: " + (e.message || e);
+    } finally {
+        videoAnalysis = null;
+        status.classList.add('hidden');
+        analyzeButton.textContent = 'Analyze Video';
+        canvas.classList.remove('unmirrored');
+        video.classList.remove('unmirrored');
+        video.removeAttribute('src');
+        video.srcObject = liveStream;
+        URL.revokeObjectURL(fileUrl);
+        if (liveStream) video.play().catch(() => {});
+        switchFrameSource();
+    }
+}
+
+function showVideoReport(analysis) {
+    const rows = analysis.sets.map((set, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td>${exerciseLabel(set.exercise, set.bilateral)}</td>
+            <td>${set.side}</td>
+            <td>${set.reps.length}</td>
+            <td>${set.velocities.map(v => v.toFixed(2)).join(', ')}</td>
+            <td>${set.baselineVelocity ? set.baselineVelocity.toFixed(2) : '-'}</td>
+            <td>${set.peakVelocity.toFixed(2)}</td>
+            <td>${set.dropFromBaseline === null ? '-' : `${set.dropFromBaseline.toFixed(1)}%`}</td>
+            <td>${set.fatigueZone}</td>
+        </tr>`).join('');
+
+    document.getElementById('report-title').textContent = analysis.fileName;
+    document.getElementById('report-body').innerHTML = analysis.sets.length === 0
+        ? '<p>No sets detected. Make sure the clip starts with a T-pose and shows your full body.</p>'
+        : `<table>
+            <thead><tr><th>Set</th><th>Exercise</th><th>Side</th><th>Reps</th><th>Velocities (m/s)</th><th>Baseline</th><th>Peak</th><th>Drop</th><th>Zone</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    document.getElementById('report-modal').classList.remove('hidden');
+}
+
+function showReplayReport(fileName, result) {
+    const t0 = result.events.length ? result.events[0].t : 0;
+    const detail = (e) => {
+        if (e.type === 'REP') return `#${e.rep} ${e.velocity.toFixed(3)} m/s ${e.fatigueZone}`;
+        if (e.type === 'SIDE_LOCK') return e.side;
+        if (GESTURES[e.type]) return e.action ? GESTURE_ACTIONS[e.action] : '';
+        if (e.type === 'CALIBRATED') return `${e.pixelsPerMeter.toFixed(1)} px/m`;
+        return '';
+    };
+    const rows = result.events.map(e => `
+        <tr><td>${((e.t - t0) / 1000).toFixed(2)}s</td><td>${e.type}</td><td>${detail(e)}</td></tr>`).join('');
+
+    document.getElementById('report-title').textContent = `Replay: ${fileName} (${result.sets.length} set(s))`;
+    document.getElementById('report-body').innerHTML = result.events.length === 0
+        ? '<p>No events produced.</p>'
+        : `<table>
+            <thead><tr><th>Time</th><th>Event</th><th>Detail</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    document.getElementById('report-modal').classList.remove('hidden');
+}
+
+// Left/right comparison of today's single-arm sets and double-bell reps
+async function showAsymmetryReport() {
+    const sets = await sessionStore.getSets(SessionStore.todayId(), athleteProfiles.active.id);
+    const summary = asymmetrySummary(sets);
+    const pct = (value) => (value === null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`);
+    const side = (s) => `${s.meanVelocity.toFixed(2)} / ${s.bestVelocity.toFixed(2)} m/s, ${s.meanVelocityLoss.toFixed(1)}% loss (${s.reps} reps)`;
+    const rows = summary.map(row => `
+        <tr>
+            <td>${EXERCISE_PROFILES[row.exercise].label} (${row.source})</td>
+            <td>${side(row.left)}</td>
+            <td>${side(row.right)}</td>
+            <td>${pct(row.velocityAsymmetryPct)}</td>
+            <td>${pct(row.fatigueDifferencePct)}</td>
+        </tr>`).join('');
+
+    document.getElementById('report-title').textContent = 'Left / Right Asymmetry (today)';
+    document.getElementById('report-body').innerHTML = summary.length === 0
+        ? '<p>Record a set on each arm of the same exercise, or a double-kettlebell set, to compare sides.</p>'
+        : `<table>
+            <thead><tr><th>Exercise</th><th>Left (mean / best, loss)</th><th>Right (mean / best, loss)</th><th>Velocity R vs L</th><th>Loss R - L</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    document.getElementById('report-modal').classList.remove('hidden');
+}
+
+// Set Summary & Session Dashboard
+const ZONE_LABELS = { MILD: 'Mild', MODERATE: 'Moderate', HIGH: 'High', CRITICAL: 'Critical' };
+
+function showSetSummary(set) {
+    const summary = setSummary(set);
+    const v = (value) => (value === null ? '-' : `${value.toFixed(2)} m/s`);
+    const zones = Object.entries(ZONE_LABELS)
+        .filter(([zone]) => summary.zoneFirstReached[zone] !== null)
+        .map(([zone, label]) => `${label} from rep ${summary.zoneFirstReached[zone]}`);
+
+    document.getElementById('ss-title').textContent =
+        `${exerciseLabel(summary.exercise, summary.bilateral)} (${summary.side})${summary.bellMass ? `, ${summary.bellMass} kg` : ''}`;
+    document.getElementById('ss-stats').innerHTML = `<table><tbody>
+        <tr><th>Reps</th><td>${summary.reps}</td></tr>
+        <tr><th>Best / mean / last</th><td>${v(summary.bestVelocity)} / ${v(summary.meanVelocity)} / ${v(summary.lastVelocity)}</td></tr>
+        <tr><th>Velocity loss</th><td>${summary.velocityLoss === null ? '-' : `${summary.velocityLoss.toFixed(1)}%`} best to last, ${summary.dropFromBaseline === null ? '-' : `${summary.dropFromBaseline.toFixed(1)}%`} from baseline</td></tr>
+        <tr><th>Fatigue zones</th><td>${zones.length ? zones.join(', ') : 'Fresh throughout'}</td></tr>
+        ${summary.faultyReps ? `<tr><th>Technique</th><td>${summary.faultyReps} rep(s) with faults</td></tr>` : ''}
+        ${summary.durationS !== null ? `<tr><th>Duration</th><td>${Math.round(summary.durationS)} s</td></tr>` : ''}
+    </tbody></table>`;
+
+    const chart = document.getElementById('ss-chart');
+    const chartCtx = chart.getContext('2d');
+    chartCtx.clearRect(0, 0, chart.width, chart.height);
+    drawRepBars(chartCtx, set.reps, set.baselineVelocity, 0, 0, chart.width, chart.height);
+    document.getElementById('set-summary-modal').classList.remove('hidden');
+}
+
+async function showSessionDashboard() {
+    const sets = await sessionStore.getSets(SessionStore.todayId(), athleteProfiles.active.id);
+    const { sets: summaries, totals, byExercise } = sessionSummary(sets);
+    const v = (value) => (value === null ? '-' : value.toFixed(2));
+    const rows = summaries.map((s, i) => `
+        <tr data-index="${i}">
+            <td>${s.setNumber}</td>
+            <td>${exerciseLabel(s.exercise, s.bilateral)}</td>
+            <td>${s.side}</td>
+            <td>${s.bellMass ?? '-'}</td>
+            <td>${s.reps}</td>
+            <td>${v(s.bestVelocity)}</td>
+            <td>${v(s.meanVelocity)}</td>
+            <td>${v(s.lastVelocity)}</td>
+            <td>${s.velocityLoss === null ? '-' : `${s.velocityLoss.toFixed(1)}%`}</td>
+            <td style="color: ${ZONE_COLORS[s.fatigueZone]}">${s.fatigueZone}</td>
+        </tr>`).join('');
+    const exerciseRows = byExercise.map(e => `
+        <tr><td>${EXERCISE_PROFILES[e.exercise]?.label || e.exercise}</td><td>${e.sets}</td><td>${e.reps}</td><td>${Math.round(e.volumeKg)} kg</td><td>${v(e.meanVelocity)}</td><td>${v(e.bestVelocity)}</td></tr>`).join('');
+
+    const body = document.getElementById('session-body');
+    body.innerHTML = summaries.length === 0
+        ? '<p>No sets recorded today.</p>'
+        : `<p>${totals.sets} sets, ${totals.reps} reps, ${Math.round(totals.volumeKg)} kg moved, mean ${v(totals.meanVelocity)} m/s, best ${v(totals.bestVelocity)} m/s</p>
+        <canvas id="session-chart" width="560" height="160"></canvas>
+        <table>
+            <thead><tr><th>Set</th><th>Exercise</th><th>Side</th><th>kg</th><th>Reps</th><th>Best</th><th>Mean</th><th>Last</th><th>Loss</th><th>Zone</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <table>
+            <thead><tr><th>Exercise</th><th>Sets</th><th>Reps</th><th>Volume</th><th>Mean</th><th>Best</th></tr></thead>
+            <tbody>${exerciseRows}</tbody>
+        </table>
+        <p class="settings-hint">Click a set for its summary.</p>`;
+    body.querySelectorAll('tr[data-index]').forEach(row => {
+        row.onclick = () => showSetSummary(sets[row.dataset.index]);
+    });
+    if (summaries.length > 0) drawSessionChart(document.getElementById('session-chart'), summaries);
+    document.getElementById('session-modal').classList.remove('hidden');
+}
+
+// Best (solid) and mean (faded) velocity per set, coloured by the set's final zone
+function drawSessionChart(chart, summaries) {
+    const chartCtx = chart.getContext('2d');
+    const max = Math.max(...summaries.map(s => s.bestVelocity || 0)) * 1.15 || 1;
+    const slot = chart.width / Math.max(summaries.length, 6);
+    const h = chart.height - 16;
+    chartCtx.clearRect(0, 0, chart.width, chart.height);
+    chartCtx.font = '11px monospace';
+    summaries.forEach((s, i) => {
+        const x = i * slot;
+        const best = ((s.bestVelocity || 0) / max) * h;
+        const mean = ((s.meanVelocity || 0) / max) * h;
+        chartCtx.fillStyle = ZONE_COLORS[s.fatigueZone] || '#94a3b8';
+        chartCtx.fillRect(x + 4, h - best, slot / 2 - 6, best);
+        chartCtx.globalAlpha = 0.5;
+        chartCtx.fillRect(x + slot / 2, h - mean, slot / 2 - 6, mean);
+        chartCtx.globalAlpha = 1;
+        chartCtx.fillStyle = 'white';
+        chartCtx.fillText(`#${s.setNumber}`, x + 4, chart.height - 2);
+    });
+}
+
+// Voice Commands
+// UI side of a command the engine has already accepted
+function applyVoiceCommand(intent, params) {
+    switch (intent) {
+        case 'SET_WEIGHT':
+            document.getElementById('bell-mass').value = engine.bellMass;
+            localStorage.setItem('vbt_bell_mass', engine.bellMass);
+            speechFeedback.say(`${params.kg} kilos`, 'PROMPTS');
+            break;
+        case 'SET_EXERCISE':
+            document.getElementById('exercise-select').value = appState.exercise;
+            localStorage.setItem('vbt_exercise', appState.exercise);
+            break;
+        case 'QUERY_LAST_REP': {
+            const { rep, velocity } = engine.lastRep;
+            showBanner(`Rep ${rep}: ${velocity.toFixed(2)} m/s`, 3000);
+            speechFeedback.answer(`Rep ${rep}, ${velocity.toFixed(2)}`);
+            break;
+        }
+        case 'SWITCH_ATHLETE': {
+            const athlete = athleteProfiles.findByName(params.name);
+            if (!athlete) {
+                showBanner(`No athlete named "${params.name}"`, 3000);
+                speechFeedback.answer(`I don't know ${params.name}`);
+            } else {
+                switchAthlete(athlete.id);
             }
+            break;
+        }
+        case 'QUERY_LAST_SET': {
+            const summary = setSummary(engine.lastSet);
+            showSetSummary(engine.lastSet);
+            if (summary.reps === 0) {
+                speechFeedback.answer('No reps in the last set');
+                break;
+            }
+            speechFeedback.answer(`${summary.reps} reps. Best ${summary.bestVelocity.toFixed(2)}, average ${summary.meanVelocity.toFixed(2)}` +
+                (summary.velocityLoss === null ? '' : `, down ${Math.round(summary.velocityLoss)} percent`));
+            break;
+        }
+    }
+}
 
-            // --- TRACKING ---
-            if (state === APP_STATES.TRACKING) {
-                const pxPerMeter = calibrationSystem.getPixelsPerMeter();
-                // We pass a conversion factor: meters per normalized unit = CanvasHeight / pxPerMeter
-                // Actually: Normalized * Height = Pixels. Pixels / (Pixels/Meter) = Meters.
-                // So Conversion Factor = Height / (Pixels/Meter).
-                const metersPerNorm = canvas.height / pxPerMeter;
-
-                const event = vbtMachine.update(pose, timestamp, appState.lockedSide, pxPerMeter);
-                
-                // 1. Check Standing Reset
-                if (event && event.type === 'STANDING_RESET') {
-                    appState.endSet();
-                    vbtMachine.reset();
-                    audioFeedback.setEnd();
-                }
-                
-                // 2. Handle Rep
-                if (event && event.type === 'REP') {
-                    const velocityMeters = event.velocityRaw * metersPerNorm; 
-                    const stats = fatigueTracker.addRep(velocityMeters);
-                    
-                    audioFeedback.rep();
-                    
-                    // Update DOM
-                    document.getElementById('rep-count').textContent = stats.repCount;
-                    document.getElementById('last-velocity').textContent = velocityMeters.toFixed(2);
-                    document.getElementById('fatigue-zone').textContent = stats.fatigueZone;
-                    const zoneColors = { FRESH: '#22c55e', MILD: '#eab308', MODERATE: '#f97316', HIGH: '#ef4444', CRITICAL: '#991b1b' };
-                    document.getElementById('fatigue-zone').style.color = zoneColors[stats.fatigueZone];
+function setupVoiceSettings(voice) {
+    const modal = document.getElementById('voice-settings-modal');
+    const wakeWordInput = document.getElementById('vs-wake-word');
+    const confidenceInput = document.getElementById('vs-confidence');
+
+    document.getElementById('btn-voice-settings').onclick = () => {
+        wakeWordInput.value = voice.wakeWord;
+        confidenceInput.value = voice.minConfidence;
+        modal.classList.remove('hidden');
+    };
+    document.getElementById('btn-vs-cancel').onclick = () => modal.classList.add('hidden');
+    document.getElementById('btn-vs-save').onclick = () => {
+        const minConfidence = Math.min(1, Math.max(0, parseFloat(confidenceInput.value) || 0));
+        voice.setOptions({ wakeWord: wakeWordInput.value.trim(), minConfidence });
+        localStorage.setItem('vbt_wake_word', voice.wakeWord);
+        localStorage.setItem('vbt_voice_confidence', voice.minConfidence);
+        modal.classList.add('hidden');
+    };
+}
+
+// Athlete Profiles
+async function resumeSetNumbering() {
+    try {
+        const sets = await sessionStore.getSets(SessionStore.todayId(), athleteProfiles.active.id);
+        appState.setCompletedSets(sets.length ? sets[sets.length - 1].setNumber : 0);
+    } catch (e) {
+        console.warn('Session history unavailable', e);
+    }
+}
+
+// Hands the station to another athlete between sets: their settings go to the engine,
+// their saved calibration is reused when the camera hasn't changed
+function switchAthlete(id) {
+    const athlete = athleteProfiles.data.athletes[id];
+    if (!athlete || !engine.switchAthlete(AthleteProfiles.engineProfile(athlete))) {
+        showBanner('Finish the set before switching athletes', 3000);
+        return false;
+    }
+    athleteProfiles.setActive(id);
+    if (workoutRunner.active) workoutRunner.stop();
+    motionOverlay.reset();
+    document.getElementById('athlete-select').value = id;
+    document.getElementById('height-input').value = athlete.height || '';
+    speechFeedback.say(athlete.name, 'PROMPTS', true);
+    resumeSetNumbering();
+    restoreSavedCalibration();
+    return true;
+}
+
+function setupAthletes() {
+    const select = document.getElementById('athlete-select');
+    const modal = document.getElementById('athlete-modal');
+    const list = document.getElementById('athlete-list');
+    const renderSelect = () => {
+        select.replaceChildren(...athleteProfiles.list.map(a => new Option(a.name, a.id)));
+        select.value = athleteProfiles.active.id;
+    };
+    const renderList = () => {
+        list.innerHTML = athleteProfiles.list.map(a => `
+            <tr data-id="${a.id}">
+                <td><input type="text" class="ath-name"></td>
+                <td><input type="number" class="ath-height" min="48" max="96" value="${a.height || ''}" placeholder="in"></td>
+                <td><select class="ath-side">
+                    <option value="">Either</option>
+                    <option value="LEFT"${a.preferredSide === 'LEFT' ? ' selected' : ''}>Left</option>
+                    <option value="RIGHT"${a.preferredSide === 'RIGHT' ? ' selected' : ''}>Right</option>
+                </select></td>
+                <td>${a.id === athleteProfiles.active.id ? 'Active' : coachAssigned(a.id) ? 'In coach mode' : '<button class="secondary ath-delete">Delete</button>'}</td>
+            </tr>`).join('');
+        // Names are typed in by the user, so they go in as values rather than markup
+        list.querySelectorAll('tr[data-id]').forEach(row => {
+            row.querySelector('.ath-name').value = athleteProfiles.data.athletes[row.dataset.id].name;
+        });
+        list.querySelectorAll('.ath-delete').forEach(button => {
+            button.onclick = () => {
+                const row = button.closest('tr');
+                if (confirm(`Delete ${athleteProfiles.data.athletes[row.dataset.id].name}? Their history stays in the database.`)) {
+                    athleteProfiles.remove(row.dataset.id);
+                    renderList();
                 }
-            }
+            };
+        });
+    };
+
+    renderSelect();
+    select.onchange = () => {
+        if (!switchAthlete(select.value)) select.value = athleteProfiles.active.id;
+    };
+    document.getElementById('btn-athletes').onclick = () => {
+        renderList();
+        modal.classList.remove('hidden');
+    };
+    document.getElementById('btn-athlete-add').onclick = () => {
+        athleteProfiles.create(`Athlete ${athleteProfiles.list.length + 1}`);
+        renderList();
+    };
+    document.getElementById('btn-athlete-cancel').onclick = () => modal.classList.add('hidden');
+    document.getElementById('btn-athlete-save').onclick = () => {
+        const rows = [...list.querySelectorAll('tr[data-id]')];
+        const heightOf = (row) => parseFloat(row.querySelector('.ath-height').value) || null;
+        const activeRow = rows.find(row => row.dataset.id === athleteProfiles.active.id);
+        const activeHeightChanged = !!activeRow && heightOf(activeRow) !== athleteProfiles.active.height;
+        if (activeHeightChanged && [APP_STATES.TRACKING, APP_STATES.PAUSED, APP_STATES.CALIBRATING].includes(appState.currentState)) {
+            showBanner('Finish the set before changing the height', 3000);
+            return;
         }
+        rows.forEach(row => {
+            const name = row.querySelector('.ath-name').value.trim();
+            const height = heightOf(row);
+            if (height !== athleteProfiles.data.athletes[row.dataset.id].height) forgetCalibration(row.dataset.id);
+            athleteProfiles.update(row.dataset.id, {
+                ...(name ? { name } : {}),
+                height,
+                preferredSide: row.querySelector('.ath-side').value || null
+            });
+        });
+        // The active athlete's changes apply straight away; a new height needs a new calibration
+        const active = athleteProfiles.active;
+        appState.setAthlete(active.name, active.preferredSide);
+        if (activeHeightChanged) engine.setUserHeight(active.height);
+        renderSelect();
+        renderCoachPanel();
+        modal.classList.add('hidden');
+    };
+}
+
+// Coach Mode
+// Several lifters in one camera view: the landmarker detects up to COACH_MAX_POSES people
+// and each tracked person runs their own engine (see CoachSession). The coach assigns people
+// to athlete profiles in the panel; sets are saved to the assigned athlete's history.
+const COACH_MAX_POSES = 4;
+const PERSON_COLORS = ['#38bdf8', '#f472b6', '#facc15', '#4ade80', '#c084fc', '#fb923c'];
+// Voice commands that make sense for the whole class; the rest need a single lifter
+const COACH_VOICE_INTENTS = ['END_SET', 'START_REST', 'PAUSE', 'RESUME', 'SET_WEIGHT', 'SET_EXERCISE'];
+let coachSession = null;
+
+const personColor = (id) => PERSON_COLORS[(id - 1) % PERSON_COLORS.length];
+// Assigned athletes can't be deleted while coach mode still saves their sets
+const coachAssigned = (athleteId) => [...(coachSession?.people.values() || [])].some(p => p.athleteId === athleteId);
+const personName = (person) => athleteProfiles.data.athletes[person.athleteId]?.name || `#${person.id}`;
+
+async function setCoachMode(on) {
+    if (on === !!coachSession || !poseDetector?.model) return;
+    if (on && (videoAnalysis || landmarkRecorder.isRecording)) {
+        showBanner('Finish the analysis or recording before starting coach mode', 3000);
+        return;
+    }
+    if (on && (appState.currentState === APP_STATES.TRACKING || appState.currentState === APP_STATES.PAUSED)) {
+        showBanner('Finish the set before starting coach mode', 3000);
+        return;
+    }
+    await poseDetector.setNumPoses(on ? COACH_MAX_POSES : 1);
+    if (on) {
+        if (workoutRunner.active) workoutRunner.stop();
+        motionOverlay.reset();
+        coachSession = createCoachSession();
+        uiPrompt.textContent = 'Coach mode: assign each lifter to an athlete';
+    } else {
+        coachSession.reset(lastFrameTimestamp);
+        coachSession = null;
+        uiPrompt.textContent = appState.promptText;
+    }
+    document.getElementById('btn-coach').textContent = on ? 'Leave Coach Mode' : 'Coach Mode';
+    document.getElementById('coach-panel').classList.toggle('hidden', !on);
+    document.getElementById('stats-panel').classList.toggle('hidden', on);
+    renderCoachPanel();
+}
+
+function createCoachSession() {
+    const session = new CoachSession({
+        exercise: appState.exercise,
+        metric: engine.tracker.metric,
+        bellMass: engine.bellMass,
+        gestureMap: engine.gestureMap,
+        noRepFaults: engine.noRepFaults
+    });
+    const update = ({ personId }) => updateCoachRow(personId);
+
+    session.on(COACH_EVENTS.PERSON_FOUND, ({ personId }) => {
+        session.person(personId).engine.setBilateral(appState.bilateral);
+        renderCoachPanel();
+    });
+    session.on(COACH_EVENTS.PERSON_LOST, ({ personId, athleteId }) => {
+        showBanner(`${athleteProfiles.data.athletes[athleteId]?.name || `#${personId}`} left the frame`, 3000);
+        renderCoachPanel();
+    });
+    session.on(ENGINE_EVENTS.STATE_CHANGE, update);
+    session.on(ENGINE_EVENTS.CALIBRATION_PROGRESS, update);
+    session.on(ENGINE_EVENTS.CALIBRATED, ({ personId, restored }) => {
+        const person = session.person(personId);
+        if (!restored && person?.athleteId) saveCalibration(person.engine, person.athleteId);
+        audioFeedback.calibrationComplete();
+        updateCoachRow(personId);
+    });
+    session.on(ENGINE_EVENTS.SET_START, () => audioFeedback.setStart());
+    session.on(ENGINE_EVENTS.REP, (e) => {
+        audioFeedback.rep();
+        update(e);
+    });
+    session.on(ENGINE_EVENTS.REP_REJECTED, (e) => {
+        audioFeedback.repRejected();
+        update(e);
+    });
+    session.on(ENGINE_EVENTS.REP_UNDONE, update);
+    session.on(ENGINE_EVENTS.SET_END, ({ personId, set }) => {
+        audioFeedback.setEnd();
+        const athlete = athleteProfiles.data.athletes[session.person(personId)?.athleteId];
+        if (set && athlete) saveSet(set, athlete);
+        updateCoachRow(personId);
+    });
+    return session;
+}
+
+// Sets of unassigned people are tracked but not saved, so the coach can assign at any time
+function assignCoachAthlete(personId, athleteId) {
+    const person = coachSession.person(personId);
+    if (!person) return false;
+    const taken = [...coachSession.people.values()].find(p => p !== person && p.athleteId === athleteId);
+    if (taken) {
+        showBanner(`${personName(taken)} is already assigned`, 3000);
+        return false;
+    }
+    const athlete = athleteProfiles.data.athletes[athleteId];
+    const profile = athlete && AthleteProfiles.engineProfile(athlete);
+    // Measuring a reference object freezes the video every lifter shares
+    const reference = profile && CALIBRATION_METHODS[profile.calibrationMethod?.method]?.reference;
+    if (reference) profile.calibrationMethod = null;
+    if (!profile || !coachSession.assignAthlete(personId, athleteId, profile)) {
+        showBanner('Finish the set before switching athletes', 3000);
+        return false;
+    }
+    if (reference) showBanner(`${athlete.name}: reference calibration is not available in coach mode, using body height`, 4000);
+    // A restored reference calibration brings its method back; recalibrating uses body height
+    restoreSavedCalibration(person.engine, athleteId).then(() => {
+        if (!person.engine.calibration.usesLandmarks) person.engine.setCalibrationMethod('HEIGHT');
+    });
+    return true;
+}
+
+function coachCommand(intent, params) {
+    if (!COACH_VOICE_INTENTS.includes(intent)) return false;
+    let accepted = false;
+    coachSession.forEachEngine(e => { if (e.command(intent, params)) accepted = true; });
+    // Weight and exercise also go to the main engine, which keeps the settings controls in sync
+    if ((intent === 'SET_WEIGHT' || intent === 'SET_EXERCISE') && engine.command(intent, params)) applyVoiceCommand(intent, params);
+    return accepted;
+}
+
+function renderCoachPanel() {
+    const list = document.getElementById('coach-list');
+    if (!coachSession) {
+        list.innerHTML = '';
+        return;
+    }
+    list.innerHTML = [...coachSession.people.values()].map(p => `
+        <tr data-id="${p.id}">
+            <td style="color: ${personColor(p.id)}">#${p.id}</td>
+            <td><select class="coach-athlete"><option value="">Assign...</option></select></td>
+            <td class="coach-status"></td>
+            <td class="coach-reps"></td>
+            <td class="coach-velocity"></td>
+            <td class="coach-zone"></td>
+        </tr>`).join('') || '<tr><td colspan="6">Nobody in view</td></tr>';
+    list.querySelectorAll('tr[data-id]').forEach(row => {
+        const id = Number(row.dataset.id);
+        const select = row.querySelector('.coach-athlete');
+        select.append(...athleteProfiles.list.map(a => new Option(a.name, a.id)));
+        select.value = coachSession.person(id).athleteId || '';
+        select.onchange = () => {
+            if (!assignCoachAthlete(id, select.value)) select.value = coachSession.person(id)?.athleteId || '';
+        };
+        updateCoachRow(id);
+    });
+}
+
+function updateCoachRow(personId) {
+    const person = coachSession?.person(personId);
+    const row = document.querySelector(`#coach-list tr[data-id="${personId}"]`);
+    if (!person || !row) return;
+    const { state, tracker, lastRep } = person.engine;
+    row.querySelector('.coach-status').textContent = person.athleteId ? state.promptText : 'Not assigned';
+    row.querySelector('.coach-reps').textContent = tracker.data.repCount;
+    row.querySelector('.coach-velocity').textContent = lastRep ? lastRep.velocity.toFixed(2) : '-';
+    row.querySelector('.coach-zone').textContent = tracker.data.fatigueZone;
+    row.querySelector('.coach-zone').style.color = ZONE_COLORS[tracker.data.fatigueZone];
+}
+
+// Name, reps and last velocity above each lifter's head, in their skeleton colour
+function drawPersonLabel(ctx, person, pose) {
+    const head = pose.LEFT.NOSE || pose.LEFT.SHOULDER;
+    if (!head) return;
+    const { tracker, lastRep } = person.engine;
+    const lines = [
+        personName(person),
+        person.athleteId ? `${tracker.data.repCount} reps  ${lastRep ? lastRep.velocity.toFixed(2) : '-'} m/s` : 'Not assigned'
+    ];
+    // Text must read normally in the CSS-mirrored camera view
+    const mirrored = !canvas.classList.contains('unmirrored');
+    const x = (mirrored ? 1 - head.x : head.x) * canvas.width;
+    const y = Math.max(head.y * canvas.height - 60, 40);
+    ctx.save();
+    if (mirrored) {
+        ctx.translate(canvas.width, 0);
+        ctx.scale(-1, 1);
+    }
+    ctx.font = 'bold 16px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(x - 90, y - 18, 180, 44);
+    ctx.fillStyle = personColor(person.id);
+    ctx.fillText(lines[0], x, y);
+    ctx.fillStyle = person.athleteId ? ZONE_COLORS[tracker.data.fatigueZone] : 'white';
+    ctx.fillText(lines[1], x, y + 20);
+    ctx.restore();
+}
+
+// Offline Support
+// sw.js precaches the app shell, MediaPipe and the model; the app counts as offline ready
+// once the model is in the cache.
+async function setupOfflineSupport() {
+    const status = document.getElementById('offline-status');
+    let ready = false;
+    const render = () => {
+        if (navigator.onLine) status.textContent = ready ? 'Offline ready' : '';
+        else status.textContent = ready ? 'Offline' : 'No connection';
+        status.classList.toggle('hidden', !status.textContent);
+        status.classList.toggle('ready', ready);
+    };
+    window.addEventListener('online', render);
+    window.addEventListener('offline', render);
+    render();
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+        await navigator.serviceWorker.register('sw.js');
+        await navigator.serviceWorker.ready;
+        ready = !!(await caches.match(POSE_MODELS.LITE.path));
+    } catch (e) {
+        console.warn('Service worker registration failed', e);
+    }
+    render();
+}
+
+// Calibration
+// Results are kept per athlete together with the video size, and reused on the next
+// visit (or when the athlete is switched back in) as long as the camera resolution is unchanged.
+function savedCalibrations() {
+    return readJSON('vbt_calibrations', {});
+}
+
+function saveCalibration(target = engine, athleteId = athleteProfiles.active.id) {
+    const calibrations = savedCalibrations();
+    calibrations[athleteId] = {
+        ...target.calibration.toJSON(),
+        frameWidth: video.videoWidth,
+        frameHeight: video.videoHeight,
+        calibratedAt: new Date().toISOString()
+    };
+    localStorage.setItem('vbt_calibrations', JSON.stringify(calibrations));
+}
+
+// A calibration measured against the old height no longer holds after the height changes
+function forgetCalibration(athleteId) {
+    const calibrations = savedCalibrations();
+    delete calibrations[athleteId];
+    localStorage.setItem('vbt_calibrations', JSON.stringify(calibrations));
+}
+
+async function restoreSavedCalibration(target = engine, athleteId = athleteProfiles.active.id) {
+    const saved = savedCalibrations()[athleteId];
+    if (!saved) return;
+    if (!video.videoWidth) await waitForEvent(video, 'loadedmetadata').catch(() => {});
+    if (saved.frameWidth !== video.videoWidth || saved.frameHeight !== video.videoHeight) return;
+    if (target.restoreCalibration(saved)) {
+        const day = new Date(saved.calibratedAt).toLocaleDateString();
+        showBanner(`Using calibration from ${day}. T-pose between sets to recalibrate.`, 5000);
+    }
+}
+
+// Reference objects: the current frame is frozen and the user taps both sides of the
+// kettlebell or marker. Taps are converted to video pixels, so mirroring doesn't matter.
+function startReferenceMeasurement(target = engine) {
+    const taps = [];
+    const label = target.calibration.method === 'KETTLEBELL' ? 'kettlebell' : 'marker';
+    video.pause();
+    showBanner(`Tap one side of the ${label} (Esc to cancel)`, 60000);
+
+    const finish = () => {
+        canvas.removeEventListener('click', onTap);
+        document.removeEventListener('keydown', onKey);
+        if (!videoAnalysis) video.play().catch(() => {});
+    };
+    const onTap = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        taps.push({ x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height });
+        if (taps.length === 1) {
+            showBanner(`Now tap the other side of the ${label}`, 60000);
+            return;
+        }
+        finish();
+        const pixels = Math.hypot((taps[0].x - taps[1].x) * video.videoWidth, (taps[0].y - taps[1].y) * video.videoHeight);
+        if (!target.applyReferenceCalibration(pixels, lastFrameTimestamp)) {
+            showBanner('Measurement failed, try again');
+            target.requireCalibration();
+        }
+    };
+    const onKey = (e) => {
+        if (e.key !== 'Escape') return;
+        finish();
+        showBanner('Calibration cancelled', 2000);
+        target.requireCalibration();
+    };
+    canvas.addEventListener('click', onTap);
+    document.addEventListener('keydown', onKey);
+}
+
+function setupCalibrationSettings() {
+    const modal = document.getElementById('calibration-modal');
+    const methodSelect = document.getElementById('cal-method');
+    const lengthInput = document.getElementById('cal-length');
+    const saved = document.getElementById('cal-saved');
+    methodSelect.innerHTML = Object.entries(CALIBRATION_METHODS)
+        .map(([id, method]) => `<option value="${id}">${method.label}</option>`).join('');
+
+    const showPlaceholder = () => {
+        const method = CALIBRATION_METHODS[methodSelect.value];
+        lengthInput.disabled = methodSelect.value === 'HEIGHT';
+        lengthInput.placeholder = method.reference ? `${method.defaultCm}` : 'From height';
+    };
+    methodSelect.onchange = showPlaceholder;
+
+    document.getElementById('btn-calibration').onclick = () => {
+        methodSelect.value = engine.calibration.method;
+        lengthInput.value = engine.calibration.lengthCm || '';
+        showPlaceholder();
+        const current = savedCalibrations()[athleteProfiles.active.id];
+        saved.textContent = current
+            ? `Saved: ${CALIBRATION_METHODS[current.method].label}, ${current.pixelToCmRatio.toFixed(2)} px/cm, ` +
+              `confidence ${current.confidence !== null ? Math.round(current.confidence * 100) + '%' : '-'} ` +
+              `(${new Date(current.calibratedAt).toLocaleDateString()}, ${current.frameWidth}x${current.frameHeight})`
+            : 'No saved calibration.';
+        modal.classList.remove('hidden');
+    };
+    document.getElementById('btn-cal-clear').onclick = () => {
+        const calibrations = savedCalibrations();
+        delete calibrations[athleteProfiles.active.id];
+        localStorage.setItem('vbt_calibrations', JSON.stringify(calibrations));
+        saved.textContent = 'No saved calibration.';
+    };
+    document.getElementById('btn-cal-cancel').onclick = () => modal.classList.add('hidden');
+    document.getElementById('btn-cal-save').onclick = () => {
+        const lengthCm = methodSelect.value === 'HEIGHT' ? null : parseFloat(lengthInput.value) || null;
+        if (!engine.setCalibrationMethod(methodSelect.value, lengthCm)) return;
+        athleteProfiles.update(athleteProfiles.active.id, { calibrationMethod: { method: methodSelect.value, lengthCm } });
+        modal.classList.add('hidden');
+    };
+}
+
+// Gesture Mapping
+// One select per gesture and state; an empty choice means the gesture is ignored there.
+const GESTURE_STATE_LABELS = {
+    AWAITING_CALIBRATION: 'Before Calibration',
+    TRACKING: 'During a Set',
+    BETWEEN_SETS: 'Between Sets',
+    PAUSED: 'Paused'
+};
+
+function setupGestureSettings() {
+    const modal = document.getElementById('gesture-settings-modal');
+    const table = document.getElementById('gs-table');
+    const actionOptions = '<option value="">-</option>' + Object.entries(GESTURE_ACTIONS)
+        .map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+
+    const fill = (map) => {
+        table.innerHTML = `<thead><tr><th></th>${Object.values(GESTURE_STATE_LABELS).map(l => `<th>${l}</th>`).join('')}</tr></thead>` +
+            '<tbody>' + Object.values(GESTURES).map(g => `<tr><td>${g.label}</td>` +
+                Object.keys(GESTURE_STATE_LABELS).map(state =>
+                    `<td><select data-gesture="${g.id}" data-state="${state}">${actionOptions}</select></td>`).join('') +
+                '</tr>').join('') + '</tbody>';
+        table.querySelectorAll('select').forEach(select => {
+            select.value = map[select.dataset.state]?.[select.dataset.gesture] || '';
+        });
+    };
+
+    document.getElementById('btn-gesture-settings').onclick = () => {
+        fill(engine.gestureMap);
+        modal.classList.remove('hidden');
+    };
+    document.getElementById('btn-gs-defaults').onclick = () => fill(DEFAULT_GESTURE_MAP);
+    document.getElementById('btn-gs-cancel').onclick = () => modal.classList.add('hidden');
+    document.getElementById('btn-gs-save').onclick = () => {
+        const map = {};
+        table.querySelectorAll('select').forEach(select => {
+            if (!select.value) return;
+            (map[select.dataset.state] = map[select.dataset.state] || {})[select.dataset.gesture] = select.value;
+        });
+        engine.setGestureMap(map);
+        localStorage.setItem('vbt_gesture_map', JSON.stringify(map));
+        modal.classList.add('hidden');
+    };
+}
+
+// Workout Programs
+// The editor rows and the JSON text are two views of the same workout; the last one
+// started is kept in localStorage. WorkoutRunner does the sequencing and rest timing.
+const DEFAULT_WORKOUT = {
+    name: 'Swing Intervals',
+    exercises: [{ exercise: 'SWING', load: 16, sets: 5, reps: [10, 15], velocityLoss: 20, rest: 90 }]
+};
+
+function describePrescription(slot) {
+    const reps = slot.reps ? (slot.reps.min === slot.reps.max ? `${slot.reps.min}` : `${slot.reps.min}-${slot.reps.max}`) : null;
+    return exerciseLabel(slot.exercise, slot.bilateral) +
+        (slot.load ? ` ${slot.load} kg` : '') +
+        (reps ? ` x ${reps}` : '') +
+        (slot.velocityLoss ? `, stop at ${slot.velocityLoss}% loss` : '') +
+        (slot.targetVelocity ? `, target ${slot.targetVelocity} m/s` : '');
+}
+
+function setupWorkouts() {
+    const modal = document.getElementById('workout-modal');
+    const rowsBody = document.getElementById('wo-rows');
+    const nameInput = document.getElementById('wo-name');
+    const jsonText = document.getElementById('wo-json');
+    const error = document.getElementById('wo-error');
+    const panel = document.getElementById('workout-panel');
+    const current = document.getElementById('workout-current');
+    const rest = document.getElementById('workout-rest');
+    const results = document.getElementById('workout-results');
+    const skipButton = document.getElementById('btn-skip-rest');
+
+    const exerciseOptions = Object.values(EXERCISE_PROFILES)
+        .map(p => `<option value="${p.id}">${p.label}</option>`).join('');
+    const addRow = (entry = {}) => {
+        const reps = entry.reps ? (entry.reps.min === entry.reps.max ? `${entry.reps.min}` : `${entry.reps.min}-${entry.reps.max}`) : '';
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><select data-field="exercise">${exerciseOptions}</select></td>
+            <td><input type="number" data-field="load" min="2" max="64" step="0.5" value="${entry.load ?? ''}"></td>
+            <td><input type="checkbox" data-field="bilateral" ${entry.bilateral ? 'checked' : ''}></td>
+            <td><input type="number" data-field="sets" min="1" max="20" value="${entry.sets ?? 3}"></td>
+            <td><input type="text" data-field="reps" placeholder="5-8" value="${reps}"></td>
+            <td><input type="number" data-field="velocityLoss" min="1" max="100" placeholder="Off" value="${entry.velocityLoss ?? ''}"></td>
+            <td><input type="number" data-field="targetVelocity" min="0.1" max="3" step="0.05" placeholder="-" value="${entry.targetVelocity ?? ''}"></td>
+            <td><input type="number" data-field="rest" min="0" max="600" step="15" value="${entry.rest ?? 120}"></td>
+            <td><button class="secondary" data-remove>&times;</button></td>`;
+        row.querySelector('[data-field="exercise"]').value = entry.exercise || appState.exercise;
+        row.querySelector('[data-remove]').onclick = () => row.remove();
+        rowsBody.appendChild(row);
+    };
+    const fromRows = () => parseWorkout({
+        name: nameInput.value.trim(),
+        exercises: [...rowsBody.rows].map(row => {
+            const field = (name) => row.querySelector(`[data-field="${name}"]`);
+            const number = (name) => parseFloat(field(name).value) || null;
+            const reps = field('reps').value.split('-').map(v => parseInt(v, 10)).filter(v => v > 0);
+            return {
+                exercise: field('exercise').value,
+                load: number('load'),
+                bilateral: field('bilateral').checked,
+                sets: number('sets'),
+                reps: reps.length ? [reps[0], reps[reps.length - 1]] : null,
+                velocityLoss: number('velocityLoss'),
+                targetVelocity: number('targetVelocity'),
+                rest: parseFloat(field('rest').value) || 0
+            };
+        })
+    });
+    const fill = (workout) => {
+        nameInput.value = workout.name;
+        rowsBody.innerHTML = '';
+        workout.exercises.forEach(addRow);
+        jsonText.value = JSON.stringify(workout, null, 2);
+        error.textContent = '';
+    };
+    const stored = () => {
+        try {
+            return parseWorkout(localStorage.getItem('vbt_workout') || DEFAULT_WORKOUT);
+        } catch (e) {
+            return parseWorkout(DEFAULT_WORKOUT);
+        }
+    };
+
+    document.getElementById('btn-workout').onclick = () => {
+        fill(stored());
+        modal.classList.remove('hidden');
+    };
+    document.getElementById('btn-wo-add').onclick = () => addRow();
+    document.getElementById('btn-wo-cancel').onclick = () => modal.classList.add('hidden');
+    document.getElementById('wo-json-section').ontoggle = (e) => {
+        if (!e.target.open) return;
+        try {
+            jsonText.value = JSON.stringify(fromRows(), null, 2);
+        } catch (err) {
+            error.textContent = err.message;
+        }
+    };
+    document.getElementById('btn-wo-load-json').onclick = () => {
+        try {
+            fill(parseWorkout(jsonText.value));
+        } catch (err) {
+            error.textContent = `Invalid workout: ${err.message}`;
+        }
+    };
+    document.getElementById('btn-wo-start').onclick = () => {
+        let workout;
+        try {
+            workout = fromRows();
+        } catch (err) {
+            error.textContent = err.message;
+            return;
+        }
+        if (!workoutRunner.start(workout)) {
+            error.textContent = 'Finish the current set first';
+            return;
+        }
+        localStorage.setItem('vbt_workout', JSON.stringify(workout));
+        document.getElementById('workout-title').textContent = workout.name;
+        results.innerHTML = '';
+        panel.classList.remove('hidden');
+        modal.classList.add('hidden');
+    };
+    document.getElementById('btn-end-workout').onclick = () => {
+        workoutRunner.stop();
+        panel.classList.add('hidden');
+    };
+    skipButton.onclick = () => workoutRunner.skipRest();
+
+    // Keep the control bar in step with what the runner configured
+    workoutRunner.on(WORKOUT_EVENTS.SET_PRESCRIBED, ({ slot, number, total }) => {
+        document.getElementById('exercise-select').value = appState.exercise;
+        document.getElementById('bilateral-toggle').checked = appState.bilateral;
+        document.getElementById('bell-mass').value = engine.bellMass || '';
+        current.textContent = `Set ${number}/${total}: ${describePrescription(slot)}`;
+        if (number > 1) speechFeedback.say(`Set ${number}. ${describePrescription(slot)}`, 'PROMPTS');
+        rest.classList.add('hidden');
+        skipButton.classList.add('hidden');
+    });
+    workoutRunner.on(WORKOUT_EVENTS.SET_RESULT, ({ slot, number, reps, bestVelocity, missedReps, missedVelocity, missed }) => {
+        const line = document.createElement('div');
+        line.className = missed ? 'missed' : '';
+        line.textContent = `${number}. ${reps} reps, best ${bestVelocity.toFixed(2)} m/s` +
+            (missedReps ? ' - missed reps' : '') + (missedVelocity ? ' - below target velocity' : '');
+        results.appendChild(line);
+        if (missed) {
+            audioFeedback.setMissed();
+            showBanner(`Set ${number} missed its target (${describePrescription(slot)})`);
+        }
+    });
+    workoutRunner.on(WORKOUT_EVENTS.REST_START, ({ next }) => {
+        current.textContent = `Next: ${describePrescription(next)}`;
+        rest.classList.remove('hidden');
+        skipButton.classList.remove('hidden');
+    });
+    workoutRunner.on(WORKOUT_EVENTS.REST_TICK, ({ remaining }) => {
+        rest.textContent = `Rest ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+        if (remaining > 0 && remaining <= 3) audioFeedback.restCountdown();
+        if (remaining === 30 || remaining === 10) speechFeedback.say(`${remaining} seconds`, 'PROMPTS');
+    });
+    workoutRunner.on(WORKOUT_EVENTS.REST_END, () => audioFeedback.restEnd());
+    workoutRunner.on(WORKOUT_EVENTS.COMPLETE, ({ results: done }) => {
+        const onTarget = done.filter(r => !r.missed).length;
+        current.textContent = `Workout complete: ${onTarget}/${done.length} sets on target`;
+        showBanner(`Workout complete: ${onTarget}/${done.length} sets on target`, 6000);
+    });
+
+    // The rest countdown has to run without pose frames, e.g. when the lifter walks off camera
+    setInterval(() => workoutRunner.tick(), 250);
+}
+
+// Fatigue Settings
+// Edits either the default entry or the current exercise's override of engine.fatigueSettings.
+function setupFatigueSettings() {
+    const modal = document.getElementById('fatigue-settings-modal');
+    const field = (id) => document.getElementById(id);
+    field('fs-method').innerHTML = Object.entries(BASELINE_METHODS)
+        .map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+
+    const scopeKey = () => (field('fs-scope').value === 'EXERCISE' ? appState.exercise : 'default');
+    const fill = () => {
+        const settings = resolveFatigueSettings(engine.fatigueSettings, scopeKey() === 'default' ? null : scopeKey());
+        field('fs-baseline-reps').value = settings.baselineReps;
+        field('fs-method').value = settings.baselineMethod;
+        field('fs-zone-mild').value = settings.zones.MILD;
+        field('fs-zone-moderate').value = settings.zones.MODERATE;
+        field('fs-zone-high').value = settings.zones.HIGH;
+        field('fs-zone-critical').value = settings.zones.CRITICAL;
+        field('fs-target-loss').value = settings.targetLoss ?? '';
+        field('fs-target-reps').value = settings.targetConsecutiveReps;
+        field('fs-error').textContent = '';
+    };
+
+    field('btn-fatigue-settings').onclick = () => {
+        field('fs-scope-exercise').textContent = `${EXERCISE_PROFILES[appState.exercise].label} only`;
+        fill();
+        modal.classList.remove('hidden');
+    };
+    field('fs-scope').onchange = fill;
+    field('btn-fs-cancel').onclick = () => modal.classList.add('hidden');
+    field('btn-fs-save').onclick = () => {
+        const number = (id) => parseFloat(field(id).value);
+        const targetLoss = number('fs-target-loss');
+        const zones = ['mild', 'moderate', 'high', 'critical'].map(zone => number(`fs-zone-${zone}`));
+        if (!zones.every(Number.isFinite) || !zones.every((z, i) => i === 0 || z > zones[i - 1])) {
+            field('fs-error').textContent = 'Enter every zone, each higher than the one before';
+            return;
+        }
+        const settings = {
+            baselineReps: Math.max(1, Math.round(number('fs-baseline-reps')) || 1),
+            baselineMethod: field('fs-method').value,
+            zones: { MILD: zones[0], MODERATE: zones[1], HIGH: zones[2], CRITICAL: zones[3] },
+            targetLoss: Number.isFinite(targetLoss) && targetLoss > 0 ? targetLoss : null,
+            targetConsecutiveReps: Math.max(1, Math.round(number('fs-target-reps')) || 1)
+        };
+        const all = { ...engine.fatigueSettings, [scopeKey()]: settings };
+        engine.setFatigueSettings(all);
+        athleteProfiles.update(athleteProfiles.active.id, { fatigueSettings: all });
+        modal.classList.add('hidden');
+    };
+}
+
+// Load-Velocity Profile
+// Today's sets are compared with a profile built only from earlier days.
+async function checkAgainstProfile(set) {
+    const history = await sessionStore.getAllSets(set.athleteId);
+    const profile = LoadVelocityProfile.fromSets(history, { exercise: set.exercise, metric: set.metric, beforeSessionId: set.sessionId, bilateral: !!set.bilateral });
+    const [result] = profile.compare([set]);
+    if (result?.belowProfile) {
+        const whose = set.athleteId === athleteProfiles.active.id ? 'your' : `${set.athleteName}'s`;
+        showBanner(`Below ${whose} profile at ${result.load} kg: ${result.velocity.toFixed(2)} vs ${result.predicted.toFixed(2)} m/s (${result.deviationPct.toFixed(0)}%)`);
+    }
+}
+
+function setupLoadVelocityProfile() {
+    const modal = document.getElementById('lv-modal');
+    const exerciseSelect = document.getElementById('lv-exercise');
+    const targetInput = document.getElementById('lv-target');
+    let profile = null;
+
+    exerciseSelect.innerHTML = Object.values(EXERCISE_PROFILES)
+        .map(p => `<option value="${p.id}">${p.label}</option>`).join('');
+
+    const renderTarget = () => {
+        const target = parseFloat(targetInput.value);
+        const load = profile?.isValid && target > 0 ? profile.loadAtVelocity(target) : null;
+        document.getElementById('lv-target-result').textContent = load !== null ? `${load.toFixed(1)} kg` : '-';
+    };
+
+    const render = async () => {
+        const history = await sessionStore.getAllSets(athleteProfiles.active.id);
+        const today = SessionStore.todayId();
+        const exercise = exerciseSelect.value;
+        const metric = engine.tracker.metric;
+        const bilateral = appState.bilateral;
+        profile = LoadVelocityProfile.fromSets(history, { exercise, metric, bilateral });
+        drawLoadVelocityChart(document.getElementById('lv-chart'), profile);
+
+        const summary = document.getElementById('lv-summary');
+        if (!profile.isValid) {
+            summary.textContent = `${profile.points.length} set(s) with a bell weight. Record sets at two or more weights to build a profile.`;
+        } else {
+            const { slope, intercept, r2, n } = profile.fit;
+            const e1rm = profile.estimate1RM();
+            summary.innerHTML =
+                `v = ${slope.toFixed(4)} &times; kg + ${intercept.toFixed(3)} (${VELOCITY_METRICS[metric]})<br>` +
+                `R&sup2; = ${r2.toFixed(3)} from ${n} sets` +
+                (e1rm !== null ? `<br>e1RM &asymp; ${e1rm.toFixed(1)} kg (at ${MINIMUM_VELOCITY_THRESHOLDS[exercise]} m/s)` : '');
+        }
+        renderTarget();
+
+        const earlier = LoadVelocityProfile.fromSets(history, { exercise, metric, beforeSessionId: today, bilateral });
+        const comparison = earlier.compare(history.filter(set => set.sessionId === today));
+        document.getElementById('lv-today').innerHTML = comparison.length === 0
+            ? 'No sets today at a profiled weight.'
+            : comparison.map(c => `<div class="${c.belowProfile ? 'lv-below' : ''}">Set ${c.setNumber}: ${c.load} kg, ` +
+                `${c.velocity.toFixed(2)} vs ${c.predicted.toFixed(2)} m/s (${c.deviationPct >= 0 ? '+' : ''}${c.deviationPct.toFixed(1)}%)` +
+                `${c.belowProfile ? ' - below profile' : ''}</div>`).join('');
+    };
+
+    document.getElementById('btn-load-velocity').onclick = () => {
+        exerciseSelect.value = appState.exercise;
+        modal.classList.remove('hidden');
+        render();
+    };
+    exerciseSelect.onchange = render;
+    targetInput.oninput = renderTarget;
+    document.getElementById('btn-lv-close').onclick = () => modal.classList.add('hidden');
+}
+
+function drawLoadVelocityChart(chart, profile) {
+    const c = chart.getContext('2d');
+    const pad = 30;
+    c.clearRect(0, 0, chart.width, chart.height);
+    if (profile.points.length === 0) return;
+
+    const loads = profile.points.map(p => p.load);
+    const velocities = profile.points.map(p => p.velocity);
+    const minX = Math.min(...loads) - 2, maxX = Math.max(...loads) + 2;
+    const maxY = Math.max(...velocities) * 1.15;
+    const px = (load) => pad + ((load - minX) / (maxX - minX)) * (chart.width - pad * 2);
+    const py = (v) => chart.height - pad - (v / maxY) * (chart.height - pad * 2);
+
+    c.strokeStyle = '#666';
+    c.fillStyle = '#aaa';
+    c.font = '11px monospace';
+    c.beginPath();
+    c.moveTo(pad, pad);
+    c.lineTo(pad, chart.height - pad);
+    c.lineTo(chart.width - pad, chart.height - pad);
+    c.stroke();
+    c.fillText(`${minX.toFixed(0)} kg`, pad, chart.height - 10);
+    c.fillText(`${maxX.toFixed(0)} kg`, chart.width - pad - 30, chart.height - 10);
+    c.fillText(`${maxY.toFixed(2)} m/s`, 2, pad - 8);
+
+    c.fillStyle = '#22c55e';
+    profile.points.forEach(p => {
+        c.beginPath();
+        c.arc(px(p.load), py(p.velocity), 3, 0, Math.PI * 2);
+        c.fill();
+    });
+
+    if (profile.isValid) {
+        c.strokeStyle = '#eab308';
+        c.beginPath();
+        c.moveTo(px(minX), py(profile.velocityAtLoad(minX)));
+        c.lineTo(px(maxX), py(profile.velocityAtLoad(maxX)));
+        c.stroke();
     }
 }
 
 // Helpers
+let bannerTimer = null;
+function showBanner(text, duration = 4000) {
+    const banner = document.getElementById('alert-banner');
+    banner.textContent = text;
+    banner.classList.remove('hidden');
+    clearTimeout(bannerTimer);
+    bannerTimer = setTimeout(() => banner.classList.add('hidden'), duration);
+}
+
 function updateRing(progress, text) {
     overlayCenter.classList.remove('hidden');
     overlayText.innerHTML = text.replace('\n', '<br>');
@@ -778,8 +2436,38 @@ function hideRing() {
     overlayCenter.classList.add('hidden');
 }
 
-function drawSkeleton(ctx, pose) {
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+// Technique faults of the last rep: text in the stats panel, and the joints at fault
+// ringed on the skeleton for a moment
+const FAULT_JOINTS = {
+    SHALLOW_HINGE: ['HIP'],
+    SQUATTED_SWING: ['KNEE'],
+    BENT_ARM: ['ELBOW'],
+    SOFT_LOCKOUT: ['ELBOW', 'WRIST'],
+    TORSO_LEAN: ['SHOULDER', 'HIP'],
+    CHEST_DROP: ['SHOULDER']
+};
+let faultHighlight = { joints: [], until: 0 };
+
+function showTechnique(technique) {
+    const el = document.getElementById('last-technique');
+    if (!technique) {
+        el.textContent = '';
+        return;
+    }
+    const angles = [
+        technique.hingeDepth !== null ? `hinge ${technique.hingeDepth.toFixed(0)}°` : null,
+        technique.kneeFlexion !== null ? `knee ${technique.kneeFlexion.toFixed(0)}°` : null,
+        technique.lockout !== null ? `lockout ${Math.round(technique.lockout * 100)}%` : null
+    ].filter(Boolean).join(', ');
+    el.textContent = technique.faults.length
+        ? `Form: ${technique.faults.map(f => TECHNIQUE_FAULTS[f].label).join(', ')}`
+        : `Form OK${angles ? ` (${angles})` : ''}`;
+    el.classList.toggle('fault', technique.faults.length > 0);
+    faultHighlight = { joints: [...new Set(technique.faults.flatMap(f => FAULT_JOINTS[f]))], until: performance.now() + 2000 };
+}
+
+function drawSkeleton(ctx, pose, color = 'rgba(255, 255, 255, 0.7)') {
+    ctx.strokeStyle = color;
     ctx.lineWidth = 3;
     const joints = [
         [pose.LEFT.SHOULDER, pose.RIGHT.SHOULDER],
@@ -796,7 +2484,161 @@ function drawSkeleton(ctx, pose) {
             ctx.stroke();
         }
     });
+
+    if (performance.now() < faultHighlight.until) {
+        ctx.strokeStyle = '#ef4444';
+        const sides = appState.lockedSide === 'LEFT' || appState.lockedSide === 'RIGHT' ? [appState.lockedSide] : ['LEFT', 'RIGHT'];
+        sides.flatMap(side => faultHighlight.joints.map(name => pose[side][name])).forEach(p => {
+            if (!p) return;
+            ctx.beginPath();
+            ctx.arc(p.x * canvas.width, p.y * canvas.height, 14, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    }
 }
 
+// --- Motion Overlay ---
+// Drawn over the video every frame: the tracked point's path for the current rep coloured by
+// speed (the previous rep stays faded), a rolling speed-vs-time graph with each rep's
+// concentric phase shaded and its peak marked, and the set's reps as bars against the baseline.
+const ZONE_COLORS = { FRESH: '#22c55e', MILD: '#eab308', MODERATE: '#f97316', HIGH: '#ef4444', CRITICAL: '#991b1b' };
+
+class MotionOverlay {
+    constructor() {
+        this.GRAPH_WINDOW_MS = 5000;
+        this.MAX_SPEED = 3; // m/s, red end of the trail colours
+        this.SIDE_COLORS = { LEFT: '#38bdf8', RIGHT: '#a78bfa', CENTER: '#38bdf8' };
+        this.reset();
+    }
+
+    reset() {
+        this.trails = {}; // side -> samples since that side's last rep
+        this.previousTrails = {};
+        this.samples = [];
+        this.reps = []; // { start, end, peakTime, peak } for the graph
+        this.lastSet = null;
+    }
+
+    addSample(sample) {
+        (this.trails[sample.side] ||= []).push(sample);
+        this.samples.push(sample);
+        const oldest = sample.timestamp - this.GRAPH_WINDOW_MS;
+        while (this.samples.length && this.samples[0].timestamp < oldest) this.samples.shift();
+        while (this.reps.length && this.reps[0].end < oldest) this.reps.shift();
+    }
+
+    addRep(kinematics, timestamp) {
+        const start = timestamp - kinematics.duration * 1000;
+        this.reps.push({ start, end: timestamp, peakTime: start + kinematics.timeToPeak * 1000, peak: kinematics.peakVelocity });
+        this.previousTrails = this.trails;
+        this.trails = {};
+    }
+
+    // Blue (still) to red (MAX_SPEED)
+    speedColor(speed, alpha = 1) {
+        const hue = 220 - 220 * Math.min(1, speed / this.MAX_SPEED);
+        return `hsla(${hue}, 90%, 55%, ${alpha})`;
+    }
+
+    draw(ctx) {
+        for (const trail of Object.values(this.previousTrails)) this.drawTrail(ctx, trail, 0.3);
+        for (const trail of Object.values(this.trails)) this.drawTrail(ctx, trail, 1);
+
+        // Charts hold text, so undo the CSS mirroring of the camera view
+        ctx.save();
+        if (!canvas.classList.contains('unmirrored')) {
+            ctx.translate(canvas.width, 0);
+            ctx.scale(-1, 1);
+        }
+        const bottom = canvas.height - 80;
+        this.drawGraph(ctx, 20, bottom - 110, 280, 110);
+        this.drawBars(ctx, 20, bottom - 230, 280, 100);
+        ctx.restore();
+    }
+
+    drawTrail(ctx, trail, alpha) {
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        for (let i = 1; i < trail.length; i++) {
+            ctx.strokeStyle = this.speedColor(trail[i].speed, alpha);
+            ctx.beginPath();
+            ctx.moveTo(trail[i - 1].x * canvas.width, trail[i - 1].y * canvas.height);
+            ctx.lineTo(trail[i].x * canvas.width, trail[i].y * canvas.height);
+            ctx.stroke();
+        }
+    }
+
+    drawGraph(ctx, x, y, w, h) {
+        if (this.samples.length < 2) return;
+        const now = this.samples[this.samples.length - 1].timestamp;
+        const maxSpeed = Math.max(1, ...this.samples.map(s => s.speed)) * 1.1;
+        const toX = (t) => x + w - ((now - t) / this.GRAPH_WINDOW_MS) * w;
+        const toY = (v) => y + h - (v / maxSpeed) * h;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.fillRect(x, y, w, h);
+        ctx.font = '11px monospace';
+        for (const rep of this.reps) {
+            const left = Math.max(x, toX(rep.start));
+            ctx.fillStyle = 'rgba(34, 197, 94, 0.2)';
+            ctx.fillRect(left, y, toX(rep.end) - left, h);
+            if (rep.peakTime >= now - this.GRAPH_WINDOW_MS) {
+                ctx.fillStyle = '#22c55e';
+                ctx.beginPath();
+                ctx.arc(toX(rep.peakTime), toY(rep.peak), 4, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillText(rep.peak.toFixed(2), toX(rep.peakTime) + 6, Math.max(y + 10, toY(rep.peak)));
+            }
+        }
+
+        ctx.lineWidth = 2;
+        for (const side of new Set(this.samples.map(s => s.side))) {
+            const points = this.samples.filter(s => s.side === side);
+            ctx.strokeStyle = this.SIDE_COLORS[side];
+            ctx.beginPath();
+            points.forEach((s, i) => (i === 0 ? ctx.moveTo(toX(s.timestamp), toY(s.speed)) : ctx.lineTo(toX(s.timestamp), toY(s.speed))));
+            ctx.stroke();
+        }
+        ctx.fillStyle = 'white';
+        ctx.fillText(`speed (m/s), max ${maxSpeed.toFixed(1)}`, x + 4, y + 12);
+    }
+
+    // Open set from the tracker; after it ends, the last finished set until the next starts
+    drawBars(ctx, x, y, w, h) {
+        const d = engine.tracker.data.repCount > 0 ? engine.tracker.data : this.lastSet;
+        if (d && d.reps.length > 0) drawRepBars(ctx, d.reps, d.baselineVelocity, x, y, w, h);
+    }
+}
+
+// Rep velocities as bars coloured by fatigue zone, with the baseline dashed
+function drawRepBars(ctx, reps, baselineVelocity, x, y, w, h) {
+    const max = Math.max(...reps.map(r => r.velocity), baselineVelocity || 0) * 1.15;
+    const slot = w / Math.max(reps.length, 8);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.fillRect(x, y, w, h);
+    reps.forEach((rep, i) => {
+        const barHeight = (rep.velocity / max) * (h - 14);
+        ctx.fillStyle = ZONE_COLORS[rep.fatigueZone] || '#94a3b8';
+        ctx.fillRect(x + i * slot + 2, y + h - barHeight, slot - 4, barHeight);
+    });
+    if (baselineVelocity) {
+        const baselineY = y + h - (baselineVelocity / max) * (h - 14);
+        ctx.strokeStyle = 'white';
+        ctx.setLineDash([4, 3]);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, baselineY);
+        ctx.lineTo(x + w, baselineY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    ctx.fillStyle = 'white';
+    ctx.font = '11px monospace';
+    ctx.fillText(`reps vs baseline${baselineVelocity ? ` ${baselineVelocity.toFixed(2)} m/s` : ''}`, x + 4, y + 12);
+}
+
+const motionOverlay = new MotionOverlay();
+
 // Start
 init();
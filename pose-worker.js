@@ -0,0 +1,68 @@
+/**
+ * Pose inference worker: runs the MediaPipe PoseLandmarker off the main thread.
+ * The app posts camera frames as ImageBitmaps with their capture timestamps and gets the
+ * landmarks back together with the inference time. See PoseDetector in app.js.
+ */
+
+import { PoseLandmarker, FilesetResolver } from './vendor/tasks-vision/vision_bundle.mjs';
+
+let vision = null;
+let landmarker = null;
+let numPoses = 1;
+
+// GPU where the worker can get a WebGL context, CPU otherwise
+async function load(wasmPath, modelPath) {
+    vision = vision || await FilesetResolver.forVisionTasks(wasmPath);
+    landmarker?.close();
+    landmarker = null;
+    for (const delegate of ['GPU', 'CPU']) {
+        try {
+            landmarker = await PoseLandmarker.createFromOptions(vision, {
+                baseOptions: { modelAssetPath: modelPath, delegate },
+                runningMode: 'VIDEO',
+                numPoses
+            });
+            return delegate;
+        } catch (e) {
+            if (delegate === 'CPU') throw e;
+            console.warn('GPU delegate unavailable, using CPU', e);
+        }
+    }
+}
+
+function detect(frame, timestamp) {
+    const start = performance.now();
+    const results = landmarker.detectForVideo(frame, timestamp);
+    return { landmarks: results.landmarks, worldLandmarks: results.worldLandmarks, latency: performance.now() - start };
+}
+
+// Every message carries an id; the reply has the same id and either result or error.
+// Messages are handled strictly in order, so a frame never reaches a model still loading.
+let queue = Promise.resolve();
+self.onmessage = ({ data }) => {
+    queue = queue.then(() => handle(data));
+};
+
+async function handle(data) {
+    try {
+        switch (data.type) {
+            case 'load':
+                self.postMessage({ id: data.id, result: { delegate: await load(data.wasmPath, data.modelPath) } });
+                break;
+            case 'setNumPoses':
+                numPoses = data.numPoses;
+                await landmarker?.setOptions({ numPoses });
+                self.postMessage({ id: data.id, result: {} });
+                break;
+            case 'detect':
+                self.postMessage({ id: data.id, result: detect(data.frame, data.timestamp) });
+                break;
+            default:
+                throw new Error(`Unknown message ${data.type}`);
+        }
+    } catch (e) {
+        self.postMessage({ id: data.id, error: e.message || String(e) });
+    } finally {
+        data.frame?.close();
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Copies the pinned MediaPipe Tasks Vision bundle and WASM fileset out of node_modules
+ * and downloads the pose models, so the app serves everything itself and works offline.
+ * Run with `npm run fetch-assets` after `npm install` (Vercel runs it as the build step);
+ * the results (vendor/, models/) are not committed. A failure fails that step, not the install.
+ */
+
+import { cp, mkdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const packageDir = join(root, 'node_modules', '@mediapipe', 'tasks-vision');
+const vendorDir = join(root, 'vendor', 'tasks-vision');
+const modelsDir = join(root, 'models');
+
+const MODEL_BASE_URL = 'https://storage.googleapis.com/mediapipe-models/pose_landmarker';
+const MODELS = ['pose_landmarker_lite', 'pose_landmarker_full', 'pose_landmarker_heavy'];
+
+async function exists(path) {
+    try {
+        await stat(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function copyVisionBundle() {
+    const { version } = JSON.parse(await readFile(join(packageDir, 'package.json'), 'utf8'));
+    await mkdir(vendorDir, { recursive: true });
+    await cp(join(packageDir, 'vision_bundle.mjs'), join(vendorDir, 'vision_bundle.mjs'));
+    await cp(join(packageDir, 'wasm'), join(vendorDir, 'wasm'), { recursive: true });
+    console.log(`tasks-vision ${version} -> vendor/tasks-vision`);
+}
+
+// Models are versioned in their URL and never change, so existing files are kept
+async function downloadModels() {
+    await mkdir(modelsDir, { recursive: true });
+    for (const name of MODELS) {
+        const target = join(modelsDir, `${name}.task`);
+        if (await exists(target)) continue;
+        const response = await fetch(`${MODEL_BASE_URL}/${name}/float16/1/${name}.task`);
+        if (!response.ok) throw new Error(`${name}: HTTP ${response.status}`);
+        await writeFile(target, Buffer.from(await response.arrayBuffer()));
+        console.log(`${name}.task -> models/`);
+    }
+}
+
+try {
+    await copyVisionBundle();
+    await downloadModels();
+} catch (e) {
+    console.error('Fetching MediaPipe assets failed:', e.message);
+    process.exit(1);
+}
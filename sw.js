@@ -0,0 +1,76 @@
+/**
+ * Service worker: precaches the app shell, the self-hosted MediaPipe bundle and WASM,
+ * and the Lite and Full pose models, so the app starts and tracks without a network connection.
+ * The Heavy model is only cached once the device has picked it.
+ * Bump CACHE_VERSION whenever a precached file changes.
+ */
+
+const CACHE_VERSION = 'vbt-v3';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'app.js',
+    'vbt-engine.js',
+    'pose-worker.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg'
+];
+
+// Large and versioned by the pinned package, so served cache-first
+const MEDIAPIPE_ASSETS = [
+    'vendor/tasks-vision/vision_bundle.mjs',
+    'vendor/tasks-vision/wasm/vision_wasm_internal.js',
+    'vendor/tasks-vision/wasm/vision_wasm_internal.wasm',
+    'vendor/tasks-vision/wasm/vision_wasm_nosimd_internal.js',
+    'vendor/tasks-vision/wasm/vision_wasm_nosimd_internal.wasm',
+    'models/pose_landmarker_lite.task',
+    'models/pose_landmarker_full.task'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll([...APP_SHELL, ...MEDIAPIPE_ASSETS]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// App shell: network first so updates show up, the cache when offline.
+// MediaPipe files and models: cache first.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.includes('/vendor/') || url.pathname.includes('/models/')) {
+        event.respondWith(caches.match(request).then(cached => cached || fetchAndCache(request)));
+        return;
+    }
+    event.respondWith(
+        fetchAndCache(request).catch(async () => {
+            const cached = await caches.match(request, { ignoreSearch: true });
+            if (cached) return cached;
+            if (request.mode === 'navigate') return caches.match('index.html');
+            throw new Error(`Offline and not cached: ${url.pathname}`);
+        })
+    );
+});
+
+async function fetchAndCache(request) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_VERSION);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LoadVelocityProfile, linearRegression, combineSides, asymmetrySummary, setSummary, sessionSummary } from '../vbt-engine.js';
+
+// A stored set at `bellMass` kg whose fastest rep moved at `best` m/s
+const storedSet = (sessionId, bellMass, best, extra = {}) => ({
+    sessionId, setNumber: 1, exercise: 'PRESS', bellMass, bilateral: false,
+    reps: [{ velocity: best - 0.1, meanVelocity: best - 0.1 }, { velocity: best, meanVelocity: best }],
+    ...extra
+});
+
+test('linearRegression fits a line and needs two distinct x values', () => {
+    const fit = linearRegression([{ x: 0, y: 1 }, { x: 1, y: 3 }, { x: 2, y: 5 }]);
+    assert.equal(fit.slope, 2);
+    assert.equal(fit.intercept, 1);
+    assert.equal(fit.r2, 1);
+    assert.equal(fit.standardError, 0);
+    assert.equal(linearRegression([{ x: 1, y: 1 }]), null);
+    assert.equal(linearRegression([{ x: 1, y: 1 }, { x: 1, y: 2 }]), null);
+});
+
+test('the load-velocity profile predicts velocity and estimates a 1RM from the minimum velocity', () => {
+    const history = [
+        storedSet('2026-01-01', 12, 1.0),
+        storedSet('2026-01-02', 16, 0.8),
+        storedSet('2026-01-03', 20, 0.6),
+        storedSet('2026-01-03', 16, 1.5, { exercise: 'SWING' }),
+        storedSet('2026-01-03', 16, 1.5, { bilateral: true }),
+        storedSet('2026-01-04', 24, 0.1)
+    ];
+    const profile = LoadVelocityProfile.fromSets(history, { exercise: 'PRESS', beforeSessionId: '2026-01-04' });
+    assert.equal(profile.points.length, 3);
+    assert.equal(profile.isValid, true);
+    assert.ok(Math.abs(profile.velocityAtLoad(18) - 0.7) < 1e-9);
+    // 0.2 m/s press minimum velocity: 1.6 - 0.05 * load = 0.2
+    assert.ok(Math.abs(profile.estimate1RM() - 28) < 1e-9);
+
+    const swing = LoadVelocityProfile.fromSets(history, { exercise: 'SWING' });
+    assert.equal(swing.isValid, false);
+    assert.equal(swing.estimate1RM(), null);
+});
+
+test('sets well below the profile are flagged', () => {
+    const profile = LoadVelocityProfile.fromSets([
+        storedSet('2026-01-01', 12, 1.0),
+        storedSet('2026-01-02', 20, 0.6)
+    ], { exercise: 'PRESS' });
+    const [onProfile, slow] = profile.compare([
+        storedSet('2026-01-05', 16, 0.79),
+        { ...storedSet('2026-01-05', 16, 0.6), setNumber: 2 }
+    ]);
+    assert.equal(onProfile.belowProfile, false);
+    assert.equal(slow.belowProfile, true);
+    assert.equal(slow.setNumber, 2);
+    assert.ok(Math.abs(slow.deviationPct + 25) < 1e-9);
+});
+
+test('combineSides averages velocities, sums power and keeps both sides', () => {
+    const left = { source: 'image', meanVelocity: 1.0, meanPower: 150, rom: 0.7, technique: { faults: ['BENT_ARM'], elbowBend: 150, lockout: 170 } };
+    const right = { source: 'image', meanVelocity: 1.2, meanPower: 180, rom: null, technique: { faults: [], elbowBend: 170, lockout: 160 } };
+    const combined = combineSides(left, right);
+    assert.equal(combined.meanVelocity, 1.1);
+    assert.equal(combined.meanPower, 330);
+    assert.equal(combined.rom, null);
+    assert.deepEqual(combined.technique, { faults: ['BENT_ARM'], elbowBend: 170, lockout: 160 });
+    assert.deepEqual(combined.sides, { LEFT: left, RIGHT: right });
+
+    const leftOnly = combineSides(left, undefined);
+    assert.equal(leftOnly.meanVelocity, 1.0);
+    assert.equal(leftOnly.sides.RIGHT, null);
+});
+
+test('asymmetrySummary compares left and right per exercise and source', () => {
+    const rep = (v) => ({ velocity: v, meanVelocity: v });
+    const both = (l, r) => ({ velocity: (l + r) / 2, sides: { LEFT: rep(l), RIGHT: rep(r) } });
+    const [single, double] = asymmetrySummary([
+        { exercise: 'SNATCH', side: 'LEFT', metric: 'meanVelocity', reps: [rep(2.0), rep(1.8)] },
+        { exercise: 'SNATCH', side: 'RIGHT', metric: 'meanVelocity', reps: [rep(1.8), rep(1.8)] },
+        { exercise: 'SWING', side: 'BOTH', metric: 'meanVelocity', reps: [both(1.5, 1.2), both(1.5, 1.2)] },
+        { exercise: 'PRESS', side: 'LEFT', metric: 'meanVelocity', reps: [rep(0.8)] }
+    ]);
+    assert.equal(single.exercise, 'SNATCH');
+    assert.equal(single.source, 'single-arm');
+    assert.equal(single.left.meanVelocity, 1.9);
+    assert.ok(Math.abs(single.velocityAsymmetryPct - (-0.1 / 1.9) * 100) < 1e-9);
+    assert.ok(Math.abs(single.fatigueDifferencePct - -10) < 1e-9);
+
+    assert.equal(double.exercise, 'SWING');
+    assert.equal(double.source, 'double');
+    assert.equal(double.right.reps, 2);
+    assert.ok(Math.abs(double.velocityAsymmetryPct - -20) < 1e-9);
+});
+
+test('setSummary reports velocity loss, zones reached and duration', () => {
+    const zones = ['FRESH', 'FRESH', 'FRESH', 'MILD', 'HIGH'];
+    const velocities = [1.0, 1.1, 1.0, 0.95, 0.8];
+    const summary = setSummary({
+        setNumber: 2, exercise: 'SWING', side: 'LEFT', bellMass: 16, metric: 'meanVelocity',
+        velocities, reps: velocities.map((velocity, i) => ({ velocity, fatigueZone: zones[i], technique: { faults: i === 4 ? ['BENT_ARM'] : [] } })),
+        baselineVelocity: 1.0333, dropFromBaseline: 22.6, fatigueZone: 'HIGH', startedAt: 1000, endedAt: 31000
+    });
+    assert.equal(summary.reps, 5);
+    assert.equal(summary.bestVelocity, 1.1);
+    assert.equal(summary.lastVelocity, 0.8);
+    assert.ok(Math.abs(summary.velocityLoss - (0.3 / 1.1) * 100) < 1e-9);
+    assert.deepEqual(summary.zoneFirstReached, { FRESH: 1, MILD: 4, MODERATE: 5, HIGH: 5, CRITICAL: null });
+    assert.equal(summary.faultyReps, 1);
+    assert.equal(summary.durationS, 30);
+});
+
+test('sessionSummary totals the day and breaks it down per exercise', () => {
+    const set = (exercise, bellMass, velocities, bilateral = false) => ({
+        exercise, side: bilateral ? 'BOTH' : 'LEFT', bilateral, bellMass, velocities,
+        reps: velocities.map(velocity => ({ velocity, fatigueZone: 'FRESH' }))
+    });
+    const { sets, totals, byExercise } = sessionSummary([
+        set('SWING', 16, [1.0, 0.9]),
+        set('SWING', 16, [1.2, 1.2, 0.9], true),
+        set('PRESS', 12, [0.6])
+    ]);
+    assert.equal(sets.length, 3);
+    assert.equal(totals.sets, 3);
+    assert.equal(totals.reps, 6);
+    // Double bells count twice
+    assert.equal(totals.volumeKg, 16 * 2 + 16 * 3 * 2 + 12);
+    assert.equal(totals.bestVelocity, 1.2);
+    assert.deepEqual(byExercise.map(e => [e.exercise, e.sets, e.reps]), [['SWING', 2, 5], ['PRESS', 1, 1]]);
+});
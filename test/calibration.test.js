@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CalibrationSystem, VBTEngine, ENGINE_EVENTS, APP_STATES } from '../vbt-engine.js';
+import { FRAME_HEIGHT, standing } from './poses.js';
+
+function capture(calibration, poses) {
+    poses.forEach(p => calibration.captureFrame(p, FRAME_HEIGHT));
+    calibration.finalize(70);
+    return calibration;
+}
+
+test('a measured segment sets the scale from its pixel length', () => {
+    const calibration = new CalibrationSystem();
+    calibration.configure('SHOULDER_WIDTH', 36);
+    capture(calibration, Array.from({ length: 61 }, standing));
+    assert.equal(calibration.progress, 1);
+    // Shoulders 0.1 of a 720 px frame apart
+    assert.ok(Math.abs(calibration.pixelToCmRatio - 72 / 36) < 1e-9);
+    assert.ok(Math.abs(calibration.confidence - 1) < 1e-9);
+    // Upright torso and shin lengths, for ScaleMonitor
+    assert.ok(Math.abs(calibration.referenceSegments.torso - 180) < 1e-9);
+    assert.ok(Math.abs(calibration.referenceSegments.shin - 144) < 1e-9);
+});
+
+test('without a measured length the segment is estimated from height, at lower confidence', () => {
+    const calibration = capture(new CalibrationSystem(), Array.from({ length: 61 }, standing));
+    // Nose to ankles is 0.7 of the frame and 88% of a 70 in lifter
+    assert.ok(Math.abs(calibration.pixelToCmRatio - 504 / (70 * 2.54 * 0.88)) < 1e-9);
+    assert.ok(Math.abs(calibration.confidence - 0.85) < 1e-9);
+});
+
+test('moving or hidden landmarks are rejected and lower the confidence', () => {
+    const calibration = new CalibrationSystem();
+    calibration.configure('SHOULDER_WIDTH', 36);
+    const shifted = () => {
+        const p = standing();
+        p.LEFT.SHOULDER = { ...p.LEFT.SHOULDER, x: 0.43 };
+        return p;
+    };
+    calibration.captureFrame(standing(), FRAME_HEIGHT);
+    calibration.captureFrame(shifted(), FRAME_HEIGHT);
+    assert.equal(calibration.lastRejection, 'MOVING');
+    const hidden = standing();
+    hidden.RIGHT.SHOULDER = { ...hidden.RIGHT.SHOULDER, visibility: 0.2 };
+    calibration.captureFrame(hidden, FRAME_HEIGHT);
+    assert.equal(calibration.lastRejection, 'LOW_VISIBILITY');
+
+    capture(calibration, Array.from({ length: 61 }, shifted));
+    assert.equal(calibration.frames.length, 61);
+    assert.equal(calibration.lastRejection, null);
+    assert.ok(calibration.confidence < 1 && calibration.confidence > 0.9, `confidence ${calibration.confidence}`);
+});
+
+test('a reference object calibrates from the width measured on a frame', () => {
+    const engine = new VBTEngine({ userHeight: 70 });
+    const events = [];
+    engine.on(ENGINE_EVENTS.CALIBRATED, e => events.push(e));
+    assert.equal(engine.setCalibrationMethod('KETTLEBELL'), true);
+    engine.startCalibration();
+    assert.equal(engine.state.currentState, APP_STATES.CALIBRATING);
+    assert.equal(engine.setCalibrationMethod('MARKER'), false);
+    assert.equal(engine.applyReferenceCalibration(0), false);
+    assert.equal(engine.applyReferenceCalibration(84), true);
+
+    // 21 cm competition bell 84 px wide
+    assert.equal(engine.calibration.pixelToCmRatio, 4);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].method, 'KETTLEBELL');
+    assert.equal(events[0].confidence, 0.7);
+    assert.equal(engine.state.currentState, APP_STATES.READY_FOR_SET);
+
+    const restored = new CalibrationSystem();
+    restored.restore(JSON.parse(JSON.stringify(engine.calibration)));
+    assert.deepEqual(restored.toJSON(), engine.calibration.toJSON());
+});
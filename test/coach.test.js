@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PersonTracker, CoachSession, COACH_EVENTS } from '../vbt-engine.js';
+import { FRAME_MS, FRAME_HEIGHT, standing } from './poses.js';
+
+// The standing pose moved sideways by dx; broad widens the shoulders and hips
+function person(dx, broad = 1) {
+    const p = standing();
+    for (const side of ['LEFT', 'RIGHT']) {
+        for (const [name, point] of Object.entries(p[side])) {
+            const widened = ['SHOULDER', 'HIP'].includes(name) ? 0.5 + (point.x - 0.5) * broad : point.x;
+            p[side][name] = { ...point, x: widened + dx };
+        }
+    }
+    return p;
+}
+
+test('a lifter out of view for a while gets their id back by body proportions', () => {
+    const tracker = new PersonTracker();
+    const ids = (poses, t) => tracker.update(poses, t).tracked.map(p => p.id);
+    assert.deepEqual(ids([person(-0.3), person(0.3, 1.6)], 0), [1, 2]);
+    assert.deepEqual(ids([person(0.3, 1.6)], FRAME_MS), [2]);
+    // Ten seconds later, somewhere else in the frame
+    assert.deepEqual(ids([person(0.3, 1.6), person(0.05)], 10000), [1, 2]);
+    // Someone built differently is a new lifter
+    assert.deepEqual(ids([person(0.3, 1.6), person(0.05), person(-0.3, 2.2)], 10000 + FRAME_MS), [1, 2, 3]);
+});
+
+test('people are dropped only after MAX_AWAY_MS', () => {
+    const session = new CoachSession();
+    const lost = [];
+    session.on(COACH_EVENTS.PERSON_LOST, e => lost.push(e.personId));
+    session.processFrame([person(0)], 0, FRAME_HEIGHT);
+    session.processFrame([], 30000, FRAME_HEIGHT);
+    assert.deepEqual(lost, []);
+    assert.ok(session.person(1));
+    session.processFrame([], session.personTracker.MAX_AWAY_MS + 1, FRAME_HEIGHT);
+    assert.deepEqual(lost, [1]);
+});
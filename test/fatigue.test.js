@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FATIGUE_SETTINGS, VelocityFatigueTracker, VBTEngine, ENGINE_EVENTS, APP_STATES, resolveFatigueSettings, setSummary } from '../vbt-engine.js';
+import { FRAME_MS, FRAME_HEIGHT, swingRep } from './poses.js';
+
+const addAll = (tracker, velocities) => velocities.forEach((v, i) => tracker.addRep({ meanVelocity: v, peakVelocity: v + 0.5 }, i));
+
+test('resolveFatigueSettings falls back to the defaults', () => {
+    assert.deepEqual(resolveFatigueSettings(), DEFAULT_FATIGUE_SETTINGS);
+    assert.deepEqual(resolveFatigueSettings({}, 'SWING'), DEFAULT_FATIGUE_SETTINGS);
+});
+
+test('resolveFatigueSettings lets the exercise override the default, zone by zone', () => {
+    const settings = resolveFatigueSettings({
+        default: { baselineReps: 2, zones: { MILD: 8 } },
+        SNATCH: { targetLoss: 20, zones: { CRITICAL: 40 } }
+    }, 'SNATCH');
+    assert.equal(settings.baselineReps, 2);
+    assert.equal(settings.targetLoss, 20);
+    assert.deepEqual(settings.zones, { MILD: 8, MODERATE: 10, HIGH: 20, CRITICAL: 40 });
+    assert.equal(resolveFatigueSettings({ SNATCH: { targetLoss: 20 } }, 'SWING').targetLoss, null);
+});
+
+test('baseline is the mean of the first reps and zones follow the drop', () => {
+    const tracker = new VelocityFatigueTracker();
+    addAll(tracker, [1.0, 1.2, 1.1]);
+    assert.equal(tracker.data.baselineVelocity.toFixed(3), '1.100');
+    assert.equal(tracker.data.fatigueZone, 'FRESH');
+
+    addAll(tracker, [1.0]);
+    assert.equal(tracker.data.dropFromBaseline.toFixed(1), '9.1');
+    assert.equal(tracker.data.fatigueZone, 'MILD');
+    addAll(tracker, [0.85, 0.7]);
+    assert.equal(tracker.data.fatigueZone, 'CRITICAL');
+    assert.equal(tracker.data.repCount, 6);
+    assert.equal(tracker.data.peakVelocity, 1.2);
+});
+
+test('baseline methods', () => {
+    const best = new VelocityFatigueTracker('meanVelocity', { baselineMethod: 'BEST' });
+    addAll(best, [1.0, 1.3, 1.1]);
+    assert.equal(best.data.baselineVelocity, 1.3);
+
+    const bestOfTwo = new VelocityFatigueTracker('meanVelocity', { baselineReps: 2, baselineMethod: 'BEST_OF_N' });
+    addAll(bestOfTwo, [1.0, 1.2, 1.5]);
+    assert.equal(bestOfTwo.data.baselineVelocity, 1.2);
+});
+
+test('the metric picks which kinematic drives the baseline', () => {
+    const tracker = new VelocityFatigueTracker('peakVelocity');
+    addAll(tracker, [1.0, 1.0, 1.0]);
+    assert.equal(tracker.data.baselineVelocity, 1.5);
+    assert.equal(tracker.data.reps[0].velocity, 1.5);
+});
+
+test('target loss needs consecutive reps at or past the target', () => {
+    const tracker = new VelocityFatigueTracker('meanVelocity', { targetLoss: 20, targetConsecutiveReps: 2 });
+    addAll(tracker, [1.0, 1.0, 1.0, 0.75, 0.9, 0.78]);
+    assert.equal(tracker.data.targetReached, false);
+    tracker.addRep({ meanVelocity: 0.79 }, 7);
+    assert.equal(tracker.data.targetReached, true);
+});
+
+test('removeLastRep recomputes baseline and zone', () => {
+    const tracker = new VelocityFatigueTracker();
+    addAll(tracker, [1.0, 1.0, 1.0, 0.6]);
+    assert.equal(tracker.data.fatigueZone, 'CRITICAL');
+    tracker.removeLastRep();
+    assert.equal(tracker.data.repCount, 3);
+    assert.equal(tracker.data.fatigueZone, 'FRESH');
+    assert.deepEqual(tracker.data.velocities, [1.0, 1.0, 1.0]);
+});
+
+test('stored zones and numbers that are not numbers fall back to the defaults', () => {
+    // An emptied field used to be saved as NaN, which JSON stores as null
+    const stored = JSON.parse(JSON.stringify({ default: { baselineReps: NaN, zones: { MILD: NaN, HIGH: 25 } }, SWING: { zones: { CRITICAL: null } } }));
+    const settings = resolveFatigueSettings(stored, 'SWING');
+    assert.equal(settings.baselineReps, DEFAULT_FATIGUE_SETTINGS.baselineReps);
+    assert.deepEqual(settings.zones, { MILD: 5, MODERATE: 10, HIGH: 25, CRITICAL: 30 });
+    assert.equal(resolveFatigueSettings({ default: { targetLoss: 20 }, SWING: { targetLoss: null } }, 'SWING').targetLoss, null);
+
+    const tracker = new VelocityFatigueTracker('meanVelocity', stored.default);
+    assert.equal(tracker.zoneFor(0), 'FRESH');
+    assert.equal(tracker.zoneFor(26), 'HIGH');
+});
+
+test('there is no drop before the baseline is set', () => {
+    const tracker = new VelocityFatigueTracker();
+    addAll(tracker, [1.0, 0.8]);
+    assert.equal(tracker.data.baselineVelocity, null);
+    assert.equal(tracker.data.dropFromBaseline, null);
+    assert.deepEqual(tracker.data.reps.map(r => r.dropFromBaseline), [null, null]);
+    assert.equal(setSummary({ ...tracker.data, side: 'LEFT', exercise: 'SWING' }).dropFromBaseline, null);
+
+    addAll(tracker, [0.9]);
+    assert.equal(tracker.data.dropFromBaseline.toFixed(1), '0.0');
+});
+
+test('the engine ends the set once the target loss is reached on consecutive reps', () => {
+    const engine = new VBTEngine({ userHeight: 70 });
+    engine.setFatigueSettings({ SWING: { baselineReps: 2, targetLoss: 15, targetConsecutiveReps: 2 } });
+    engine.restoreCalibration({ pixelToCmRatio: 3.22 });
+    const events = [];
+    engine.on(ENGINE_EVENTS.TARGET_LOSS_REACHED, e => events.push(['TARGET', e.rep]));
+    engine.on(ENGINE_EVENTS.SET_END, e => events.push(['END', e.reason, e.set.reps.length]));
+    let t = 1000;
+    // Each swing 20% smaller and so slower than the first two
+    [0.35, 0.35, 0.35, 0.28, 0.28, 0.28].flatMap(swingRep).forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+    assert.deepEqual(events, [['TARGET', 5], ['END', 'TARGET_VELOCITY_LOSS', 5]]);
+    assert.equal(engine.state.currentState, APP_STATES.BETWEEN_SETS);
+});
@@ -0,0 +1,18 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { LandmarkRecorder, ReplayHarness } from '../vbt-engine.js';
+
+// Regression fixtures: a LandmarkRecorder file next to the events and sets its replay must
+// produce. After an intended change to detection, regenerate the expected file from a replay
+// and review the difference.
+const fixture = (name) => new URL(`./fixtures/${name}`, import.meta.url);
+
+// Floats are compared to 6 decimals so platform rounding in the filters can't fail the test
+const rounded = (value) => JSON.parse(JSON.stringify(value, (key, v) => (typeof v === 'number' ? Math.round(v * 1e6) / 1e6 : v)));
+
+test('swing-session.json: T-pose, five swings with one undone rep, standing reset', () => {
+    const recording = LandmarkRecorder.parse(readFileSync(fixture('swing-session.json'), 'utf8'));
+    const expected = JSON.parse(readFileSync(fixture('swing-session.expected.json'), 'utf8'));
+    assert.deepEqual(rounded(new ReplayHarness(recording).run()), expected);
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GESTURES, GestureDetector, VBTEngine, ENGINE_EVENTS, APP_STATES } from '../vbt-engine.js';
+import { FRAME_MS, FRAME_HEIGHT, pose, tPose, standing, swingRep } from './poses.js';
+
+const point = (x, y) => ({ x, y, z: 0, visibility: 1 });
+
+function withArms(left, right) {
+    const p = pose({ leftWrist: point(...left.wrist), rightWrist: point(...right.wrist) });
+    if (left.elbow) p.LEFT.ELBOW = point(...left.elbow);
+    if (right.elbow) p.RIGHT.ELBOW = point(...right.elbow);
+    return p;
+}
+
+const POSES = {
+    T_POSE: tPose(),
+    ARMS_CROSSED: withArms({ wrist: [0.56, 0.4] }, { wrist: [0.44, 0.4] }),
+    HANDS_ON_HEAD: withArms({ wrist: [0.49, 0.15], elbow: [0.35, 0.2] }, { wrist: [0.51, 0.15], elbow: [0.65, 0.2] }),
+    ONE_ARM_UP: withArms({ wrist: [0.45, 0.05], elbow: [0.45, 0.17] }, { wrist: [0.55, 0.6] }),
+    BOTH_ARMS_UP: withArms({ wrist: [0.45, 0.05], elbow: [0.45, 0.17] }, { wrist: [0.55, 0.05], elbow: [0.55, 0.17] })
+};
+
+test('each gesture matches its own pose and no other', () => {
+    for (const [id, p] of Object.entries(POSES)) {
+        const matching = Object.keys(GESTURES).filter(g => GESTURES[g].matches(p));
+        assert.deepEqual(matching, [id], id);
+    }
+    assert.deepEqual(Object.keys(GESTURES).filter(g => GESTURES[g].matches(standing())), []);
+});
+
+test('a gesture fires once held for its frames, then cools down', () => {
+    const detector = new GestureDetector();
+    const results = Array.from({ length: 30 }, () => detector.update(POSES.BOTH_ARMS_UP, ['BOTH_ARMS_UP']));
+    assert.equal(results[0].gesture, 'BOTH_ARMS_UP_HOLDING');
+    assert.ok(Math.abs(results[14].progress - 0.5) < 1e-9);
+    assert.deepEqual(results[29], { gesture: 'BOTH_ARMS_UP', confidence: 1.0 });
+    assert.equal(detector.update(POSES.BOTH_ARMS_UP, ['BOTH_ARMS_UP']), null);
+    // Not looked for, not detected
+    assert.equal(new GestureDetector().update(POSES.ARMS_CROSSED, ['T_POSE']), null);
+});
+
+test('crossing the arms during a set ends it', () => {
+    const engine = new VBTEngine({ userHeight: 70 });
+    engine.restoreCalibration({ pixelToCmRatio: 3.22 });
+    const events = [];
+    engine.on(ENGINE_EVENTS.GESTURE, e => { if (e.action) events.push([e.gesture, e.action, e.applied]); });
+    engine.on(ENGINE_EVENTS.SET_END, e => events.push(['SET_END', e.set.reps.length]));
+    let t = 1000;
+    [...swingRep(0.35), ...swingRep(0.35), ...Array.from({ length: 45 }, () => POSES.ARMS_CROSSED)]
+        .forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+    assert.deepEqual(events, [['SET_END', 2], ['ARMS_CROSSED', 'END_SET', true]]);
+    assert.equal(engine.state.currentState, APP_STATES.BETWEEN_SETS);
+});
@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { VBTStateMachine, VBTEngine, ENGINE_EVENTS, poseFromLandmarks } from '../vbt-engine.js';
+import { FRAME_MS, FRAME_HEIGHT, swingRep } from './poses.js';
+
+const METERS_PER_NORM = 720 / 322; // 3.22 px/cm calibration on a 720 px frame
+
+function repOf(machine, poses, side = 'LEFT') {
+    machine.startSet();
+    return poses.map((p, i) => machine.update(p, 1000 + i * FRAME_MS, side, METERS_PER_NORM)).find(e => e?.type === 'REP');
+}
+
+test('a rep reports its range of motion, timing and both velocities', () => {
+    const rep = repOf(new VBTStateMachine('SWING'), swingRep(0.35));
+    // 15 frames up by 0.35 of the frame height, less the turning frame that completes the rep
+    assert.ok(Math.abs(rep.rom - 0.35 * METERS_PER_NORM) < 0.06, `rom ${rep.rom}`);
+    assert.ok(Math.abs(rep.duration - 16 * FRAME_MS / 1000) < 1e-9, `duration ${rep.duration}`);
+    assert.ok(rep.timeToPeak > 0 && rep.timeToPeak <= rep.duration);
+    assert.equal(rep.verticalMeanVelocity, rep.rom / rep.duration);
+    assert.ok(rep.peakVelocity >= rep.meanVelocity);
+    assert.ok(rep.verticalPeakVelocity >= rep.verticalMeanVelocity);
+    assert.equal(rep.frames, 16);
+});
+
+test('faster reps over the same range take less time and score higher', () => {
+    // Every other frame of the swing: the same path in half the time
+    const slow = repOf(new VBTStateMachine('SWING'), swingRep(0.35));
+    const fast = repOf(new VBTStateMachine('SWING'), swingRep(0.35).filter((_, i) => i % 2 === 0));
+    assert.ok(fast.duration < slow.duration * 0.6, `${fast.duration} vs ${slow.duration}`);
+    assert.ok(fast.meanVelocity > slow.meanVelocity * 1.5);
+});
+
+test('power is the bell weight times gravity times vertical velocity, and needs a bell weight', () => {
+    const powers = [16, null].map(bellMass => {
+        const engine = new VBTEngine({ userHeight: 70, bellMass });
+        engine.restoreCalibration({ pixelToCmRatio: 3.22 });
+        let kinematics = null;
+        engine.on(ENGINE_EVENTS.REP, e => { kinematics = e.kinematics; });
+        let t = 1000;
+        swingRep(0.35).forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+        return kinematics;
+    });
+    assert.ok(Math.abs(powers[0].meanPower - 16 * 9.81 * powers[0].verticalMeanVelocity) < 1e-9);
+    assert.ok(Math.abs(powers[0].peakPower - 16 * 9.81 * powers[0].verticalPeakVelocity) < 1e-9);
+    assert.equal(powers[1].meanPower, null);
+    assert.equal(powers[1].peakPower, null);
+});
+
+// Adds hip-centred world landmarks in meters matching the image; the wrist also travels
+// `forward` meters toward the camera per meter it rises
+function withWorld(p, forward = 0) {
+    const world = {};
+    for (const side of ['LEFT', 'RIGHT']) {
+        world[side] = Object.fromEntries(Object.entries(p[side]).map(([name, point]) => {
+            const x = (point.x - 0.5) * METERS_PER_NORM;
+            const y = (point.y - 0.55) * METERS_PER_NORM;
+            return [name, { x, y, z: name === 'WRIST' ? y * forward : 0, visibility: 1 }];
+        }));
+    }
+    return { ...p, WORLD: world };
+}
+
+test('world landmarks measure the full 3D velocity, including motion toward the camera', () => {
+    const image = repOf(new VBTStateMachine('SWING'), swingRep(0.35));
+    const upright = repOf(new VBTStateMachine('SWING'), swingRep(0.35).map(p => withWorld(p)));
+    const diagonal = repOf(new VBTStateMachine('SWING'), swingRep(0.35).map(p => withWorld(p, 1)));
+    assert.equal(image.source, 'image');
+    assert.equal(upright.source, 'world');
+    assert.equal(diagonal.source, 'world');
+    // Moving toward the camera as fast as it rises: sqrt(2) times the speed, same vertical
+    assert.ok(Math.abs(diagonal.meanVelocity / upright.meanVelocity - Math.SQRT2) < 0.05, `${diagonal.meanVelocity} vs ${upright.meanVelocity}`);
+    assert.ok(Math.abs(diagonal.verticalMeanVelocity / upright.verticalMeanVelocity - 1) < 0.05);
+});
+
+test('world landmarks are paired with the image landmarks by MediaPipe index', () => {
+    const raw = Array.from({ length: 33 }, (_, i) => ({ x: i / 33, y: 0.5, z: 0 }));
+    const world = raw.map(p => ({ ...p, y: -p.x }));
+    const pose = poseFromLandmarks(raw, world);
+    assert.equal(pose.LEFT.WRIST, raw[15]);
+    assert.equal(pose.WORLD.LEFT.WRIST, world[15]);
+    assert.equal(pose.WORLD.RIGHT.HIP, world[24]);
+    assert.equal(poseFromLandmarks(raw).WORLD, undefined);
+});
+
+test('every tracked frame emits a sample for the bar path and velocity curve', () => {
+    const engine = new VBTEngine({ userHeight: 70 });
+    engine.restoreCalibration({ pixelToCmRatio: 3.22 });
+    const samples = [];
+    engine.on(ENGINE_EVENTS.SAMPLE, e => samples.push(e));
+    let t = 1000;
+    swingRep(0.35).forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+    assert.ok(samples.length > 10);
+    for (const s of samples) {
+        assert.equal(s.side, 'LEFT');
+        assert.equal(s.x, 0.45);
+        assert.ok(s.speed >= 0 && Number.isFinite(s.vertical));
+    }
+    assert.ok(samples.some(s => s.phase === 'CONCENTRIC'));
+    // Rising samples come with positive vertical velocity
+    assert.ok(samples.filter(s => s.phase === 'CONCENTRIC').every(s => s.vertical > 0));
+
+    engine.command('END_SET');
+    const count = samples.length;
+    swingRep(0.35).slice(0, 5).forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+    assert.equal(samples.length, count);
+});
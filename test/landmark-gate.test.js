@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LandmarkGate, VBTEngine, APP_STATES, ENGINE_EVENTS } from '../vbt-engine.js';
+import { FRAME_MS, FRAME_HEIGHT, pose, standing, swingRep } from './poses.js';
+
+const hidden = (p, side, name) => {
+    p[side][name] = { ...p[side][name], visibility: 0.1 };
+    return p;
+};
+
+test('a hidden gated landmark holds frames back and is filled in between', () => {
+    const gate = new LandmarkGate();
+    const gated = new Set(['LEFT.WRIST']);
+    assert.equal(gate.push({ pose: standing(), timestamp: 0 }, gated).length, 1);
+    assert.equal(gate.push({ pose: hidden(pose({ leftWrist: { x: 0.45, y: 0.2, z: 0, visibility: 1 } }), 'LEFT', 'WRIST'), timestamp: FRAME_MS }, gated).length, 0);
+    const released = gate.push({ pose: pose({ leftWrist: { x: 0.45, y: 0.4, z: 0, visibility: 1 } }), timestamp: 2 * FRAME_MS }, gated);
+    assert.equal(released.length, 2);
+    assert.equal(released[0].pose.LEFT.WRIST.interpolated, true);
+    assert.equal(Math.round(released[0].pose.LEFT.WRIST.y * 100) / 100, 0.5);
+});
+
+test('landmarks outside the gated set pass as they are', () => {
+    const gate = new LandmarkGate();
+    const gated = new Set(['LEFT.WRIST']);
+    gate.push({ pose: standing(), timestamp: 0 }, gated);
+    const [frame] = gate.push({ pose: hidden(standing(), 'LEFT', 'ANKLE'), timestamp: FRAME_MS }, gated);
+    assert.equal(frame.pose.LEFT.ANKLE.visibility, 0.1);
+    assert.equal(frame.pose.LEFT.ANKLE.interpolated, undefined);
+});
+
+test('the engine gates the legs only while calibrating on landmarks', () => {
+    const engine = new VBTEngine({ userHeight: 70 });
+    assert.equal(engine.state.currentState, APP_STATES.AWAITING_CALIBRATION);
+    assert.equal(engine.gatedLandmarks().has('LEFT.ANKLE'), false);
+    assert.equal(engine.gatedLandmarks().has('LEFT.NOSE'), false); // The T-pose doesn't read it
+    engine.startCalibration();
+    assert.equal(engine.gatedLandmarks().has('LEFT.ANKLE'), true);
+});
+
+test('a flickering off arm does not delay the reps of a single-arm set', () => {
+    const engine = new VBTEngine({ userHeight: 70 });
+    engine.restoreCalibration({ pixelToCmRatio: 3.22 });
+    let t = 1000;
+    const reps = [];
+    engine.on(ENGINE_EVENTS.REP, e => reps.push({ at: e.timestamp, fedAt: t }));
+    const frames = [0.35, 0.32, 0.29].flatMap(swingRep).map((p, i) => (i > 20 && i % 4 ? hidden(p, 'RIGHT', 'WRIST') : p));
+    frames.forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+
+    assert.equal(engine.state.lockedSide, 'LEFT');
+    assert.equal(reps.length, 3);
+    reps.forEach(rep => assert.equal(rep.at, rep.fedAt)); // Detected on the frame just fed
+});
@@ -0,0 +1,51 @@
+// Synthetic pose streams for the engine tests: a lifter facing the camera in normalized
+// image coordinates (no world landmarks, so the image-plane fallback is used).
+
+export const FRAME_MS = 33.3;
+export const FRAME_HEIGHT = 720;
+
+const point = (x, y) => ({ x, y, z: 0, visibility: 1 });
+
+export function pose({ leftWrist = point(0.45, 0.6), rightWrist = point(0.55, 0.6), tPose = false } = {}) {
+    return {
+        LEFT: {
+            WRIST: leftWrist, ELBOW: tPose ? point(0.33, 0.3) : point(0.4, 0.35), SHOULDER: point(0.45, 0.3),
+            HIP: point(0.47, 0.55), KNEE: point(0.47, 0.7), ANKLE: point(0.47, 0.9), NOSE: point(0.5, 0.2)
+        },
+        RIGHT: {
+            WRIST: rightWrist, ELBOW: tPose ? point(0.67, 0.3) : point(0.6, 0.35), SHOULDER: point(0.55, 0.3),
+            HIP: point(0.53, 0.55), KNEE: point(0.53, 0.7), ANKLE: point(0.53, 0.9)
+        }
+    };
+}
+
+export const tPose = () => pose({ leftWrist: point(0.2, 0.3), rightWrist: point(0.8, 0.3), tPose: true });
+export const standing = () => pose();
+
+// One left-arm swing: 15 frames up from the hips by amplitude, 15 frames back down
+export function swingRep(amplitude) {
+    const frames = [];
+    for (let i = 0; i < 30; i++) {
+        const lift = i < 15 ? amplitude * (i / 15) : amplitude * (1 - (i - 15) / 15);
+        frames.push(pose({ leftWrist: point(0.45, 0.6 - lift) }));
+    }
+    return frames;
+}
+
+// T-pose calibration, a pause, six swings of shrinking amplitude and a standing reset,
+// as a LandmarkRecorder recording for a 70 in lifter
+export function swingSession() {
+    const poses = [
+        ...Array.from({ length: 50 }, tPose),
+        ...Array.from({ length: 62 }, standing),
+        ...[0, 1, 2, 3, 4, 5].flatMap(r => swingRep(0.35 - r * 0.03)),
+        ...Array.from({ length: 60 }, standing)
+    ];
+    return {
+        format: 'vbt-landmarks',
+        version: 1,
+        userHeight: 70,
+        frames: poses.map((p, i) => ({ t: 1000 + i * FRAME_MS, h: FRAME_HEIGHT, pose: p })),
+        commands: []
+    };
+}
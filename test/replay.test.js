@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LandmarkRecorder, ReplayHarness } from '../vbt-engine.js';
+import { swingSession } from './poses.js';
+
+const round = (v) => Math.round(v * 1000) / 1000;
+
+test('a recorded swing session replays to the same calibration, reps and reset', () => {
+    const { events, sets } = new ReplayHarness(swingSession()).run();
+    assert.deepEqual(events.map(e => e.type), ['T_POSE', 'CALIBRATED', 'SIDE_LOCK', 'REP', 'REP', 'REP', 'REP', 'REP', 'STANDING_RESET']);
+    assert.equal(events.find(e => e.type === 'SIDE_LOCK').side, 'LEFT');
+    assert.deepEqual(events.filter(e => e.type === 'REP').map(e => e.fatigueZone), ['FRESH', 'FRESH', 'MILD', 'MODERATE', 'HIGH']);
+    assert.equal(sets.length, 1);
+    assert.deepEqual(sets[0].velocities.map(round), [1.566, 1.432, 1.298, 1.163, 1.029]);
+});
+
+test('replays are deterministic', () => {
+    const recording = swingSession();
+    assert.deepEqual(new ReplayHarness(recording).run(), new ReplayHarness(recording).run());
+});
+
+test('voice commands replay at their timestamps', () => {
+    const recording = swingSession();
+    const secondRepEnd = new ReplayHarness(recording).run().events.filter(e => e.type === 'REP')[1].t;
+    recording.commands = [{ t: secondRepEnd + 1, intent: 'END_SET' }];
+    const { events, sets } = new ReplayHarness(recording).run();
+    assert.ok(events.some(e => e.type === 'VOICE_END_SET'));
+    assert.equal(sets[0].velocities.length, 2);
+});
+
+test('LandmarkRecorder.parse rejects other JSON', () => {
+    assert.throws(() => LandmarkRecorder.parse('{"format":"vbt-history","sets":[]}'), /Not a VBT landmark recording/);
+    assert.deepEqual(LandmarkRecorder.parse('{"format":"vbt-landmarks","frames":[]}').commands, []);
+});
@@ -0,0 +1,259 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { VBTStateMachine, VBTEngine, ENGINE_EVENTS, APP_STATES, EXERCISE_PROFILES, exerciseLabel } from '../vbt-engine.js';
+import { FRAME_MS, FRAME_HEIGHT, pose, tPose, swingRep } from './poses.js';
+
+const METERS_PER_NORM = 720 / 322; // 3.22 px/cm calibration on a 720 px frame
+
+function run(machine, poses, side = 'LEFT') {
+    const events = [];
+    poses.forEach((p, i) => {
+        const event = machine.update(p, 1000 + i * FRAME_MS, side, METERS_PER_NORM);
+        if (event) events.push(event);
+    });
+    return events;
+}
+
+test('counts full swings once each and reports their velocity', () => {
+    const machine = new VBTStateMachine('SWING');
+    machine.startSet();
+    const reps = run(machine, [0.35, 0.32, 0.29].flatMap(swingRep)).filter(e => e.type === 'REP');
+    assert.equal(reps.length, 3);
+    reps.forEach(rep => {
+        assert.equal(rep.exercise, 'SWING');
+        assert.equal(rep.source, 'image');
+        assert.ok(rep.meanVelocity > 0.5 && rep.meanVelocity < 3, `mean ${rep.meanVelocity}`);
+        assert.ok(rep.peakVelocity >= rep.meanVelocity);
+        assert.ok(rep.rom > 0);
+    });
+    assert.ok(reps[0].meanVelocity > reps[2].meanVelocity, 'smaller swings are slower');
+});
+
+test('a swing that turns back below chest height is not counted', () => {
+    const machine = new VBTStateMachine('SWING');
+    machine.startSet();
+    const events = run(machine, [...swingRep(0.35), ...swingRep(0.12), ...swingRep(0.35)]);
+    assert.equal(events.filter(e => e.type === 'REP').length, 2);
+});
+
+test('nothing is tracked without a locked side', () => {
+    const machine = new VBTStateMachine('SWING');
+    assert.deepEqual(run(machine, swingRep(0.35), null), []);
+});
+
+test('hands down below the hips for 45 frames resets the set', () => {
+    const machine = new VBTStateMachine('SWING');
+    machine.startSet();
+    const hanging = () => pose({ leftWrist: { x: 0.45, y: 0.62, z: 0 }, rightWrist: { x: 0.55, y: 0.62, z: 0 } });
+    assert.deepEqual(run(machine, Array.from({ length: 45 }, hanging)), []);
+    assert.deepEqual(run(machine, [hanging()]), [{ type: 'STANDING_RESET' }]);
+});
+
+test('reset forgets the previous sample so a new set starts clean', () => {
+    const machine = new VBTStateMachine('SWING');
+    machine.startSet();
+    run(machine, swingRep(0.35).slice(0, 10));
+    machine.startSet();
+    assert.equal(machine.lastTime, null);
+    assert.equal(machine.state.phase, 'BOTTOM');
+});
+
+test('single-arm sets start with the preferred arm', () => {
+    const engine = new VBTEngine({ userHeight: 70 });
+    const sides = [];
+    engine.on(ENGINE_EVENTS.SET_START, e => sides.push(e.side));
+    engine.state.setAthlete('Sam', 'RIGHT');
+    engine.restoreCalibration({ pixelToCmRatio: 3.22 });
+    let t = 1000;
+    const feed = (poses) => poses.forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+
+    feed(swingRep(0.35)); // left arm
+    assert.deepEqual(sides, []);
+    feed([pose({ rightWrist: { x: 0.55, y: 0.3, z: 0, visibility: 1 } })]);
+    assert.deepEqual(sides, ['RIGHT']);
+
+    engine.command('END_SET');
+    engine.readyForSet();
+    feed(swingRep(0.35)); // either arm once the preferred one has gone first
+    assert.deepEqual(sides, ['RIGHT', 'LEFT']);
+});
+
+// A left-arm snatch from below the hips to a held overhead position; bent leaves the elbow
+// out to the side at the top, a soft lockout
+function snatchRep(bent) {
+    const point = (x, y) => ({ x, y, z: 0, visibility: 1 });
+    const heights = [
+        ...Array.from({ length: 5 }, () => 0.7),
+        ...Array.from({ length: 15 }, (_, i) => 0.7 - 0.65 * ((i + 1) / 15)),
+        ...Array.from({ length: 15 }, () => 0.05)
+    ];
+    return heights.map(y => {
+        const p = pose({ leftWrist: point(0.45, y) });
+        p.LEFT.ELBOW = point(bent && y < 0.3 ? 0.37 : 0.45, (0.3 + y) / 2);
+        return p;
+    });
+}
+
+test('a fast rep with a soft lockout is not counted by default', () => {
+    const outcomes = [false, true].map(bent => {
+        const engine = new VBTEngine({ userHeight: 70, exercise: 'SNATCH' });
+        engine.restoreCalibration({ pixelToCmRatio: 3.22 });
+        const events = [];
+        engine.on(ENGINE_EVENTS.REP, () => events.push('REP'));
+        engine.on(ENGINE_EVENTS.REP_REJECTED, e => events.push(`REJECTED ${e.faults}`));
+        let t = 1000;
+        snatchRep(bent).forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+        return events;
+    });
+    assert.deepEqual(outcomes, [['REP'], ['REJECTED SOFT_LOCKOUT']]);
+});
+
+// The lifter k times as large in the image, as when stepping toward the camera
+function closer(p, k) {
+    const scaled = {};
+    for (const side of ['LEFT', 'RIGHT']) {
+        scaled[side] = Object.fromEntries(Object.entries(p[side]).map(([name, point]) =>
+            [name, { ...point, x: 0.5 + (point.x - 0.5) * k, y: 0.55 + (point.y - 0.55) * k }]));
+    }
+    return scaled;
+}
+
+test('distance changes are followed from the calibration reference and never from later frames', () => {
+    const approach = Array.from({ length: 60 }, (_, i) => closer(pose(), 1.2 + i * 0.002));
+
+    // Calibrated live: the T-pose stored upright torso and shin lengths
+    const calibrated = new VBTEngine({ userHeight: 70 });
+    let t = 1000;
+    const events = [];
+    calibrated.on(ENGINE_EVENTS.CALIBRATED, e => events.push(e));
+    [...Array.from({ length: 100 }, tPose), ...approach].forEach(p => calibrated.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+    assert.equal(events.length, 1);
+    assert.equal(events[0].distanceTracking, true);
+    assert.ok(calibrated.scale.factor > 1.15, `factor ${calibrated.scale.factor}`);
+
+    // Restored without reference segments: already closer, but nothing to compare with
+    const restored = new VBTEngine({ userHeight: 70 });
+    restored.on(ENGINE_EVENTS.CALIBRATED, e => events.push(e));
+    restored.restoreCalibration({ pixelToCmRatio: 3.22 });
+    t = 1000;
+    approach.forEach(p => restored.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+    assert.equal(events[1].distanceTracking, false);
+    assert.equal(restored.scale.factor, 1);
+    assert.equal(restored.scale.available, false);
+});
+
+// Left-arm press: the bell held in the rack for `hold` frames, pressed overhead over 10
+// frames and held at lockout
+function pressRep(hold) {
+    const heights = [
+        ...Array.from({ length: hold }, () => 0.32),
+        ...Array.from({ length: 10 }, (_, i) => 0.32 - 0.27 * ((i + 1) / 10)),
+        ...Array.from({ length: 10 }, () => 0.05)
+    ];
+    return heights.map(y => pose({ leftWrist: { x: 0.45, y, z: 0, visibility: 1 } }));
+}
+
+test('a press only starts from a rack position held still', () => {
+    const count = (hold) => {
+        const machine = new VBTStateMachine('PRESS');
+        machine.startSet();
+        return run(machine, pressRep(hold)).filter(e => e.type === 'REP');
+    };
+    const [rep] = count(20);
+    assert.equal(rep.exercise, 'PRESS');
+    assert.ok(rep.meanVelocity > 0.5, `mean ${rep.meanVelocity}`);
+    assert.deepEqual(count(5), []);
+});
+
+// Goblet squat: the whole upper body sinks by `depth` over 15 frames and rises back over 15,
+// bell held at the chest, knees at 0.8
+function squatRep(depth) {
+    const offsets = [
+        ...Array.from({ length: 15 }, (_, i) => depth * ((i + 1) / 15)),
+        ...Array.from({ length: 15 }, (_, i) => depth * (1 - (i + 1) / 15)),
+        ...Array.from({ length: 5 }, () => 0)
+    ];
+    return offsets.map(d => {
+        const p = pose({ leftWrist: { x: 0.48, y: 0.35 + d, z: 0, visibility: 1 }, rightWrist: { x: 0.52, y: 0.35 + d, z: 0, visibility: 1 } });
+        for (const side of ['LEFT', 'RIGHT']) {
+            for (const name of ['SHOULDER', 'ELBOW', 'HIP', 'NOSE']) if (p[side][name]) p[side][name] = { ...p[side][name], y: p[side][name].y + d };
+            p[side].KNEE = { ...p[side].KNEE, y: 0.8 };
+            p[side].ANKLE = { ...p[side].ANKLE, y: 0.95 };
+        }
+        return p;
+    });
+}
+
+test('goblet squats track the hips and only count when they go deep enough', () => {
+    const machine = new VBTStateMachine('GOBLET_SQUAT');
+    assert.equal(EXERCISE_PROFILES.GOBLET_SQUAT.lockSide(squatRep(0.18)[0]), 'CENTER');
+    machine.startSet();
+    const reps = run(machine, [...squatRep(0.18), ...squatRep(0.05), ...squatRep(0.18)], 'CENTER').filter(e => e.type === 'REP');
+    assert.equal(reps.length, 2);
+    reps.forEach(rep => {
+        assert.equal(rep.exercise, 'GOBLET_SQUAT');
+        assert.ok(Math.abs(rep.rom - 0.18 * METERS_PER_NORM) < 0.05, `rom ${rep.rom}`);
+    });
+});
+
+test('double bells get the double exercise name', () => {
+    assert.equal(exerciseLabel('SWING'), 'Swing');
+    assert.equal(exerciseLabel('SWING', true), 'Double Swing');
+    assert.equal(exerciseLabel('GOBLET_SQUAT', true), 'Double Front Squat');
+});
+
+// Both arms swinging together, the right one `lag` frames behind the left
+function doubleSwingRep(amplitude, lag = 0) {
+    const lift = (i) => {
+        const j = Math.max(0, i);
+        return j < 15 ? amplitude * (j / 15) : amplitude * Math.max(0, 1 - (j - 15) / 15);
+    };
+    return Array.from({ length: 30 + lag }, (_, i) => pose({
+        leftWrist: { x: 0.45, y: 0.6 - lift(i), z: 0, visibility: 1 },
+        rightWrist: { x: 0.55, y: 0.6 - lift(i - lag), z: 0, visibility: 1 }
+    }));
+}
+
+test('double bells are tracked per wrist and recorded as one rep', () => {
+    const engine = new VBTEngine({ userHeight: 70, bellMass: 16 });
+    engine.setBilateral(true);
+    engine.restoreCalibration({ pixelToCmRatio: 3.22 });
+    const sides = [];
+    const reps = [];
+    engine.on(ENGINE_EVENTS.SET_START, e => sides.push(e.side));
+    engine.on(ENGINE_EVENTS.REP, e => reps.push(e.kinematics));
+    let t = 1000;
+    [...doubleSwingRep(0.35), ...doubleSwingRep(0.35, 2), ...doubleSwingRep(0.35)].forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+
+    assert.deepEqual(sides, ['BOTH']);
+    assert.equal(reps.length, 3);
+    for (const rep of reps) {
+        assert.ok(rep.sides.LEFT && rep.sides.RIGHT);
+        assert.equal(rep.meanVelocity, (rep.sides.LEFT.meanVelocity + rep.sides.RIGHT.meanVelocity) / 2);
+        assert.equal(rep.meanPower, rep.sides.LEFT.meanPower + rep.sides.RIGHT.meanPower);
+    }
+    assert.equal(engine.finishSet('TEST').side, 'BOTH');
+});
+
+test('switching athletes brings their settings and waits for their calibration, but not mid-set', () => {
+    const engine = new VBTEngine({ userHeight: 70 });
+    engine.restoreCalibration({ pixelToCmRatio: 3.22 });
+    const names = [];
+    engine.on(ENGINE_EVENTS.ATHLETE_CHANGE, e => names.push(e.name));
+    const alex = { name: 'Alex', userHeight: 64, fatigueSettings: { default: { targetLoss: 15 } }, calibrationMethod: { method: 'KETTLEBELL', lengthCm: 19 } };
+
+    let t = 1000;
+    swingRep(0.35).forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+    assert.equal(engine.state.currentState, APP_STATES.TRACKING);
+    assert.equal(engine.switchAthlete(alex), false);
+
+    engine.command('END_SET');
+    assert.equal(engine.switchAthlete(alex), true);
+    assert.deepEqual(names, ['Alex']);
+    assert.equal(engine.state.userHeight, 64);
+    assert.equal(engine.state.currentState, APP_STATES.AWAITING_CALIBRATION);
+    assert.equal(engine.calibration.method, 'KETTLEBELL');
+    assert.equal(engine.calibration.lengthCm, 19);
+    assert.equal(engine.fatigueSettingsForSet().targetLoss, 15);
+    assert.equal(engine.lastSet, null);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TechniqueTracker } from '../vbt-engine.js';
+import { standing } from './poses.js';
+
+const SWING_CHECKS = { hinge: true, straightArm: true, uprightTop: true };
+
+// Torso tipped forward from the hips by `degrees`, knees bent by `knee` degrees
+function hinged(degrees, knee = 0) {
+    const p = standing();
+    const rad = (d) => (d * Math.PI) / 180;
+    for (const side of ['LEFT', 'RIGHT']) {
+        const { HIP } = p[side];
+        p[side].SHOULDER = { ...p[side].SHOULDER, x: HIP.x + 0.25 * Math.sin(rad(degrees)), y: HIP.y - 0.25 * Math.cos(rad(degrees)) };
+        p[side].KNEE = { ...p[side].KNEE, x: HIP.x + 0.15 * Math.sin(rad(knee)), y: HIP.y + 0.15 * Math.cos(rad(knee)) };
+        p[side].ANKLE = { ...p[side].ANKLE, x: HIP.x, y: p[side].KNEE.y + 0.2 * Math.cos(rad(knee)) };
+    }
+    return p;
+}
+
+function cycle(bottom, top = standing(), { partial = false, checks = SWING_CHECKS } = {}) {
+    const tracker = new TechniqueTracker();
+    tracker.reset(partial);
+    [standing(), bottom, top].forEach(p => tracker.update(p, 'LEFT'));
+    return tracker.finish(top, 'LEFT', checks);
+}
+
+test('the hinge depth is measured at the bottom of the backswing', () => {
+    const deep = cycle(hinged(60));
+    assert.ok(Math.abs(deep.hingeDepth - 60) < 1, `depth ${deep.hingeDepth}`);
+    assert.ok(!deep.faults.includes('SHALLOW_HINGE'));
+    assert.ok(cycle(hinged(30)).faults.includes('SHALLOW_HINGE'));
+});
+
+test('bending the knees as much as the hips is a squatted swing', () => {
+    assert.ok(!cycle(hinged(70, 20)).faults.includes('SQUATTED_SWING'));
+    assert.ok(cycle(hinged(70, 60)).faults.includes('SQUATTED_SWING'));
+});
+
+test('leaning at the top is flagged, and hinge faults need the bottom of the rep', () => {
+    const lean = standing();
+    lean.LEFT.SHOULDER = { ...lean.LEFT.SHOULDER, x: lean.LEFT.SHOULDER.x + 0.1 };
+    lean.RIGHT.SHOULDER = { ...lean.RIGHT.SHOULDER, x: lean.RIGHT.SHOULDER.x + 0.1 };
+    assert.ok(cycle(hinged(60), lean).faults.includes('TORSO_LEAN'));
+
+    const partial = cycle(hinged(30), standing(), { partial: true });
+    assert.equal(partial.hingeDepth, null);
+    assert.ok(!partial.faults.includes('SHALLOW_HINGE'));
+});
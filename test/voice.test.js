@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVoiceCommand, parseSpokenNumber } from '../vbt-engine.js';
+
+test('whole utterances map to intents', () => {
+    assert.equal(parseVoiceCommand('end set').intent, 'END_SET');
+    assert.equal(parseVoiceCommand('Stop the set.').intent, 'END_SET');
+    assert.equal(parseVoiceCommand('switch arms').intent, 'RESET_SIDE');
+    assert.equal(parseVoiceCommand('scratch that').intent, 'UNDO_REP');
+    assert.equal(parseVoiceCommand('how fast was that').intent, 'QUERY_LAST_REP');
+    assert.equal(parseVoiceCommand('how did that set go').intent, 'QUERY_LAST_SET');
+});
+
+test('commands inside longer sentences are ignored', () => {
+    assert.equal(parseVoiceCommand('are you ready to go'), null);
+    assert.equal(parseVoiceCommand('I want to end set now'), null);
+    assert.equal(parseVoiceCommand(''), null);
+});
+
+test('the wake word must start the utterance', () => {
+    assert.equal(parseVoiceCommand('pause', { wakeWord: 'coach' }), null);
+    assert.equal(parseVoiceCommand('coach pause', { wakeWord: 'coach' }).intent, 'PAUSE');
+});
+
+test('parameterized commands', () => {
+    assert.deepEqual(parseVoiceCommand('weight twenty four'), { intent: 'SET_WEIGHT', params: { kg: 24 } });
+    assert.deepEqual(parseVoiceCommand('bell 16 kilos'), { intent: 'SET_WEIGHT', params: { kg: 16 } });
+    assert.deepEqual(parseVoiceCommand('exercise goblet squat'), { intent: 'SET_EXERCISE', params: { exercise: 'GOBLET_SQUAT' } });
+    assert.deepEqual(parseVoiceCommand('athlete Sam Lee'), { intent: 'SWITCH_ATHLETE', params: { name: 'sam lee' } });
+    assert.equal(parseVoiceCommand('weight heavy'), null);
+    assert.equal(parseVoiceCommand('exercise deadlift'), null);
+});
+
+test('spoken numbers', () => {
+    assert.equal(parseSpokenNumber('twenty four'), 24);
+    assert.equal(parseSpokenNumber('12.5'), 12.5);
+    assert.equal(parseSpokenNumber('eight'), 8);
+});
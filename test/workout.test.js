@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { VBTEngine, ENGINE_EVENTS, APP_STATES, WorkoutRunner, WORKOUT_EVENTS, parseWorkout } from '../vbt-engine.js';
+import { FRAME_MS, FRAME_HEIGHT, standing, swingRep } from './poses.js';
+
+// Both arms straight overhead, as the BOTH_ARMS_UP gesture is held
+function armsUp() {
+    const p = standing();
+    for (const side of ['LEFT', 'RIGHT']) {
+        const x = p[side].SHOULDER.x;
+        p[side].ELBOW = { x, y: 0.2, z: 0, visibility: 1 };
+        p[side].WRIST = { x, y: 0.1, z: 0, visibility: 1 };
+    }
+    return p;
+}
+
+function calibratedEngine() {
+    const engine = new VBTEngine({ userHeight: 70 });
+    engine.restoreCalibration({ pixelToCmRatio: 3.22 });
+    let t = 1000;
+    const feed = (poses) => poses.forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+    const gestures = [];
+    engine.on(ENGINE_EVENTS.GESTURE, e => { if (e.gesture === 'BOTH_ARMS_UP') gestures.push(e); });
+    return { engine, feed, gestures };
+}
+
+test('holding both arms up skips the workout rest and is reported applied', () => {
+    const { engine, feed, gestures } = calibratedEngine();
+    const runner = new WorkoutRunner(engine);
+    runner.start(parseWorkout({ exercises: [{ exercise: 'SWING', sets: 2, rest: 60 }] }));
+    feed([...swingRep(0.35), ...swingRep(0.35)]);
+    engine.command('END_SET');
+    assert.equal(runner.resting, true);
+
+    feed(Array.from({ length: 31 }, armsUp));
+    assert.equal(gestures.length, 1);
+    assert.equal(gestures[0].applied, true);
+    assert.equal(runner.resting, false);
+    assert.equal(runner.index, 1);
+    assert.equal(engine.state.currentState, APP_STATES.READY_FOR_SET);
+});
+
+test('the skip-rest gesture is not applied without a rest to skip', () => {
+    const { engine, feed, gestures } = calibratedEngine();
+    feed(swingRep(0.35));
+    engine.command('END_SET');
+    assert.equal(engine.state.currentState, APP_STATES.BETWEEN_SETS);
+
+    feed(Array.from({ length: 31 }, armsUp));
+    assert.equal(gestures.length, 1);
+    assert.equal(gestures[0].applied, false);
+});
+
+test('parseWorkout fills defaults for missing fields and rejects malformed ones', () => {
+    const parsed = parseWorkout('{"exercises": [{"exercise": "SWING", "load": null, "reps": [5, 8]}]}');
+    assert.deepEqual(parsed.exercises[0], {
+        exercise: 'SWING', load: null, bilateral: false, sets: 1, reps: { min: 5, max: 8 },
+        velocityLoss: null, targetVelocity: null, rest: 120
+    });
+    // A parsed workout parses back to itself, as the editor round-trips it through JSON
+    assert.deepEqual(parseWorkout(JSON.stringify(parsed)), parsed);
+
+    const malformed = [
+        ['{"exercises": [{"exercise": "SWING", "rest": "90"}]}', /rest must be/],
+        ['{"exercises": [{"exercise": "SWING", "rest": ""}]}', /rest must be/],
+        ['{"exercises": [{"exercise": "SWING", "rest": -30}]}', /rest must be/],
+        ['{"exercises": [{"exercise": "SWING", "sets": "three"}]}', /sets must be/],
+        ['{"exercises": [{"exercise": "SWING", "sets": 0}]}', /sets must be/],
+        ['{"exercises": [{"exercise": "SWING", "sets": 2.5}]}', /sets must be/],
+        ['{"exercises": [{"exercise": "SWING", "load": "16kg"}]}', /load must be/],
+        ['{"exercises": [{"exercise": "SWING", "reps": "5"}]}', /reps must be/],
+        ['{"exercises": [{"exercise": "SWING", "reps": [0, 5]}]}', /reps must be/],
+        ['{"exercises": [{"exercise": "SWING"}, null]}', /Exercise 2: expected an object/],
+        ['{"exercises": [{"exercise": "CURL"}]}', /unknown exercise/]
+    ];
+    for (const [json, message] of malformed) assert.throws(() => parseWorkout(json), message, json);
+    assert.throws(() => parseWorkout({ exercises: [{ exercise: 'SWING', rest: Infinity }] }), /rest must be/);
+});
+
+test('a workout ends each set at the top of its rep range, rests and advances to the end', () => {
+    let clock = 0;
+    const engine = new VBTEngine({ userHeight: 70, now: () => clock });
+    engine.restoreCalibration({ pixelToCmRatio: 3.22 });
+    let t = 1000;
+    const feed = (poses) => poses.forEach(p => engine.processFrame(p, t += FRAME_MS, FRAME_HEIGHT));
+    const runner = new WorkoutRunner(engine);
+    const log = [];
+    runner.on(WORKOUT_EVENTS.SET_PRESCRIBED, e => log.push(`set ${e.number}/${e.total}`));
+    runner.on(WORKOUT_EVENTS.SET_RESULT, e => log.push(`result ${e.reps}${e.missed ? ' missed' : ''}`));
+    runner.on(WORKOUT_EVENTS.REST_START, e => log.push(`rest ${e.seconds}`));
+    runner.on(WORKOUT_EVENTS.COMPLETE, () => log.push('complete'));
+
+    runner.start(parseWorkout({ exercises: [{ exercise: 'SWING', sets: 2, reps: [2, 3], targetVelocity: 5, rest: 30 }] }));
+    feed([0.35, 0.35, 0.35, 0.35].flatMap(swingRep));
+    assert.equal(runner.resting, true);
+    clock += 29000;
+    runner.tick();
+    assert.equal(runner.resting, true);
+    clock += 1000;
+    runner.tick();
+    assert.equal(engine.state.currentState, APP_STATES.READY_FOR_SET);
+    feed(swingRep(0.35));
+    engine.command('END_SET');
+
+    // 5 m/s is out of reach, so both sets miss their velocity; the second one its reps too
+    assert.deepEqual(log, ['set 1/2', 'result 3 missed', 'rest 30', 'set 2/2', 'result 1 missed', 'complete']);
+    assert.equal(runner.active, false);
+    assert.equal(runner.results[0].set.workout.number, 1);
+    assert.equal(runner.results[1].missedReps, true);
+});
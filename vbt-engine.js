@@ -0,0 +1,2607 @@
+/**
+ * ============================================================================
+ * VBT ENGINE - HEADLESS CORE
+ * Pose math, gesture detection, calibration, rep detection and fatigue tracking.
+ * No DOM, camera or MediaPipe access: runs in the browser and under Node alike.
+ * ============================================================================
+ */
+
+// ============================================================================
+// 1. UTILITIES & MATH
+// ============================================================================
+
+export const Vector3D = {
+  fromLandmark(landmark) {
+    return { x: landmark.x || 0, y: landmark.y || 0, z: landmark.z || 0 };
+  },
+  subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+  },
+  add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: (a.z || 0) + (b.z || 0) };
+  },
+  dot(a, b) {
+    return a.x * b.x + a.y * b.y + (a.z || 0) * (b.z || 0);
+  },
+  magnitude(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + (v.z || 0) * (v.z || 0));
+  },
+  distance(a, b) {
+    return Vector3D.magnitude(Vector3D.subtract(a, b));
+  },
+  angleBetween(a, b) {
+    const magA = Vector3D.magnitude(a);
+    const magB = Vector3D.magnitude(b);
+    if (magA === 0 || magB === 0) return 0;
+    const cosAngle = Vector3D.dot(a, b) / (magA * magB);
+    return Math.acos(Math.max(-1, Math.min(1, cosAngle))) * (180 / Math.PI);
+  },
+  midpoint(a, b) {
+    return {
+      x: a.x + (b.x - a.x) * 0.5,
+      y: a.y + (b.y - a.y) * 0.5,
+      z: (a.z || 0) + ((b.z || 0) - (a.z || 0)) * 0.5
+    };
+  }
+};
+
+export class OneEuroFilter {
+  constructor(minCutoff = 1.0, beta = 0.007, dCutoff = 1.0) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.x = { y: null, filter: (v, a) => (this.x.y = (this.x.y === null ? v : a * v + (1 - a) * this.x.y)) };
+    this.dx = { y: null, filter: (v, a) => (this.dx.y = (this.dx.y === null ? v : a * v + (1 - a) * this.dx.y)) };
+    this.lastTime = null;
+  }
+  
+  getAlpha(cutoff, freq) {
+    const tau = 1.0 / (2 * Math.PI * cutoff);
+    const te = 1.0 / freq;
+    return 1.0 / (1.0 + tau / te);
+  }
+  
+  filter(value, timestamp) {
+    if (this.lastTime && timestamp === this.lastTime) return value;
+    const freq = this.lastTime ? 1000 / (timestamp - this.lastTime) : 30;
+    this.lastTime = timestamp;
+    const dValue = this.x.y === null ? 0 : (value - this.x.y) * freq;
+    const edValue = this.dx.filter(dValue, this.getAlpha(this.dCutoff, freq));
+    const cutoff = this.minCutoff + this.beta * Math.abs(edValue);
+    return this.x.filter(value, this.getAlpha(cutoff, freq));
+  }
+}
+
+// ============================================================================
+// 2. GESTURES & APPLICATION STATE
+// ============================================================================
+
+// --- Gesture Library ---
+// Each gesture is a static pose held for holdFrames consecutive frames. All checks are
+// relative to torso length and shoulder width so they hold at any camera distance.
+const elbowAngle = (pose, side) => Vector3D.angleBetween(
+    Vector3D.subtract(pose[side].SHOULDER, pose[side].ELBOW),
+    Vector3D.subtract(pose[side].WRIST, pose[side].ELBOW)
+);
+const torsoLength = (pose) => Math.abs(pose.LEFT.SHOULDER.y - pose.LEFT.HIP.y);
+const shoulderWidth = (pose) => Math.abs(pose.LEFT.SHOULDER.x - pose.RIGHT.SHOULDER.x);
+// LandmarkGate keys ('SIDE.NAME') of the named landmarks on both sides
+const bothSides = (...names) => ['LEFT', 'RIGHT'].flatMap(side => names.map(name => `${side}.${name}`));
+
+// Wrist well above the head on a straight arm
+const armOverhead = (pose, side) =>
+    pose[side].WRIST.y < pose.LEFT.NOSE.y - torsoLength(pose) * 0.3 && elbowAngle(pose, side) > 150;
+
+export const GESTURES = {
+    T_POSE: {
+        id: 'T_POSE',
+        label: 'T-Pose',
+        holdFrames: 45, // ~1.5s
+        landmarks: [...bothSides('WRIST', 'ELBOW', 'SHOULDER'), 'LEFT.HIP'], // What matches() reads
+        matches: (pose) => {
+            // 1. Vertical Check: Wrists at shoulder height (+/- 15% torso length)
+            const yTolerance = torsoLength(pose) * 0.15;
+            const leftYValid = Math.abs(pose.LEFT.WRIST.y - pose.LEFT.SHOULDER.y) < yTolerance;
+            const rightYValid = Math.abs(pose.RIGHT.WRIST.y - pose.RIGHT.SHOULDER.y) < yTolerance;
+
+            // 2. Horizontal Check: Wrists extended outward
+            const armSpan = Math.abs(pose.LEFT.WRIST.x - pose.RIGHT.WRIST.x);
+            const extendedValid = armSpan > (shoulderWidth(pose) * 2.5);
+
+            // 3. Elbow Angle Check (>150 degrees)
+            const elbowsStraight = elbowAngle(pose, 'LEFT') > 150 && elbowAngle(pose, 'RIGHT') > 150;
+
+            return leftYValid && rightYValid && extendedValid && elbowsStraight;
+        }
+    },
+    ARMS_CROSSED: {
+        id: 'ARMS_CROSSED',
+        label: 'Arms Crossed (X)',
+        holdFrames: 45,
+        landmarks: bothSides('WRIST', 'SHOULDER', 'HIP'),
+        // Forearms crossed in front of the chest: the wrists swap sides relative to the shoulders
+        matches: (pose) => {
+            const { LEFT, RIGHT } = pose;
+            const swapped = (LEFT.WRIST.x - RIGHT.WRIST.x) * (LEFT.SHOULDER.x - RIGHT.SHOULDER.x) < 0;
+            const chestHeight = [LEFT, RIGHT].every(s => s.WRIST.y > s.SHOULDER.y - torsoLength(pose) * 0.1 && s.WRIST.y < s.HIP.y);
+            return swapped && chestHeight;
+        }
+    },
+    HANDS_ON_HEAD: {
+        id: 'HANDS_ON_HEAD',
+        label: 'Hands on Head',
+        holdFrames: 45,
+        landmarks: [...bothSides('WRIST', 'ELBOW', 'SHOULDER'), 'LEFT.HIP', 'LEFT.NOSE'],
+        // Both hands on top of the head with the elbows flared wider than the shoulders
+        matches: (pose) => {
+            const { LEFT, RIGHT } = pose;
+            const nose = LEFT.NOSE;
+            const width = shoulderWidth(pose);
+            const onHead = [LEFT, RIGHT].every(s =>
+                s.WRIST.y < s.SHOULDER.y &&
+                s.WRIST.y > nose.y - torsoLength(pose) * 0.6 &&
+                Math.abs(s.WRIST.x - nose.x) < width * 0.75);
+            const elbowsOut = Math.abs(LEFT.ELBOW.x - RIGHT.ELBOW.x) > width * 1.3;
+            return onHead && elbowsOut;
+        }
+    },
+    ONE_ARM_UP: {
+        id: 'ONE_ARM_UP',
+        label: 'One Arm Overhead',
+        holdFrames: 60, // Longer than any lockout, so snatches and presses don't trigger it
+        landmarks: [...bothSides('WRIST', 'ELBOW', 'SHOULDER'), 'LEFT.HIP', 'LEFT.NOSE'],
+        matches: (pose) => {
+            const left = armOverhead(pose, 'LEFT');
+            const right = armOverhead(pose, 'RIGHT');
+            const other = left ? pose.RIGHT : pose.LEFT;
+            return left !== right && other.WRIST.y > other.SHOULDER.y;
+        }
+    },
+    BOTH_ARMS_UP: {
+        id: 'BOTH_ARMS_UP',
+        label: 'Both Arms Overhead',
+        holdFrames: 30,
+        landmarks: [...bothSides('WRIST', 'ELBOW', 'SHOULDER'), 'LEFT.HIP', 'LEFT.NOSE'],
+        matches: (pose) => armOverhead(pose, 'LEFT') && armOverhead(pose, 'RIGHT')
+    }
+};
+
+// --- Gesture Detector ---
+export class GestureDetector {
+    constructor(gestures = GESTURES) {
+        this.gestures = gestures;
+        this.framesHeld = {};
+        this.cooldownFrames = 0;
+        this.COOLDOWN_DURATION = 90; // 3s
+    }
+
+    // ids: the gestures to look for (all by default). Returns { gesture: id } once one has
+    // been held long enough, { gesture: `${id}_HOLDING`, progress } while holding, else null.
+    update(pose, ids = Object.keys(this.gestures)) {
+        if (this.cooldownFrames > 0) {
+            this.cooldownFrames--;
+            return null;
+        }
+
+        if (!pose || !pose.LEFT || !pose.RIGHT) return null;
+
+        // A hold only counts while its gesture is being looked for
+        for (const id of Object.keys(this.framesHeld)) {
+            if (!ids.includes(id)) delete this.framesHeld[id];
+        }
+
+        let holding = null;
+        for (const id of ids) {
+            const gesture = this.gestures[id];
+            if (!gesture || !gesture.matches(pose)) {
+                this.framesHeld[id] = 0;
+                continue;
+            }
+            this.framesHeld[id] = (this.framesHeld[id] || 0) + 1;
+            if (this.framesHeld[id] >= gesture.holdFrames) {
+                this.framesHeld = {};
+                this.cooldownFrames = this.COOLDOWN_DURATION;
+                return { gesture: id, confidence: 1.0 };
+            }
+            const progress = this.framesHeld[id] / gesture.holdFrames;
+            if (!holding || progress > holding.progress) holding = { gesture: `${id}_HOLDING`, progress };
+        }
+        return holding;
+    }
+}
+
+// Actions a gesture can trigger, all VBTEngine.command intents. SKIP_REST is handled by
+// WorkoutRunner through VBTEngine.handleAction.
+export const GESTURE_ACTIONS = {
+    CALIBRATE: 'Calibrate / Next Set',
+    END_SET: 'End Set',
+    UNDO_REP: 'Undo Last Rep',
+    PAUSE: 'Pause',
+    RESUME: 'Resume',
+    SKIP_REST: 'Skip Rest'
+};
+
+// Per state, which gesture triggers which action. States without an entry ignore gestures:
+// READY_FOR_SET is left out because raising an arm there is how a side gets locked.
+export const DEFAULT_GESTURE_MAP = {
+    AWAITING_CALIBRATION: { T_POSE: 'CALIBRATE' },
+    TRACKING: { ARMS_CROSSED: 'END_SET', HANDS_ON_HEAD: 'UNDO_REP' },
+    BETWEEN_SETS: { T_POSE: 'CALIBRATE', ONE_ARM_UP: 'PAUSE', BOTH_ARMS_UP: 'SKIP_REST' },
+    PAUSED: { ONE_ARM_UP: 'RESUME' }
+};
+
+// --- Application State Store ---
+export const APP_STATES = {
+    NEEDS_HEIGHT_INPUT: 'NEEDS_HEIGHT_INPUT',
+    AWAITING_CALIBRATION: 'AWAITING_CALIBRATION',
+    CALIBRATING: 'CALIBRATING',
+    READY_FOR_SET: 'READY_FOR_SET',
+    TRACKING: 'TRACKING',
+    BETWEEN_SETS: 'BETWEEN_SETS',
+    PAUSED: 'PAUSED'
+};
+
+export class AppState {
+    constructor(userHeight = null) {
+        this.currentState = userHeight ? APP_STATES.AWAITING_CALIBRATION : APP_STATES.NEEDS_HEIGHT_INPUT;
+        this.userHeight = userHeight;
+        this.calibrationProgress = 0;
+        this.lockedSide = null;
+        this.exercise = DEFAULT_EXERCISE;
+        this.bilateral = false;
+        this.athlete = null; // Name of the active athlete profile
+        this.preferredSide = null; // 'LEFT' | 'RIGHT' arm to start single-arm sets with
+        this.preferredSideDone = false; // A single-arm set of this exercise has been locked
+        this.setNumber = 1;
+        this.pausedFrom = null;
+        this.calibrationPrompt = null;
+        this.listeners = [];
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        listener(this);
+        return () => this.listeners = this.listeners.filter(l => l !== listener);
+    }
+    notify() { this.listeners.forEach(l => l(this)); }
+
+    setHeight(inches) {
+        this.userHeight = inches || null;
+        this.currentState = this.userHeight ? APP_STATES.AWAITING_CALIBRATION : APP_STATES.NEEDS_HEIGHT_INPUT;
+        this.lockedSide = null;
+        this.notify();
+    }
+
+    setAthlete(name, preferredSide = null) {
+        this.athlete = name || null;
+        this.preferredSide = preferredSide === 'LEFT' || preferredSide === 'RIGHT' ? preferredSide : null;
+        this.preferredSideDone = false;
+        this.notify();
+    }
+
+    startCalibration(prompt = null) {
+        if (this.canAcceptCalibrationTrigger) {
+            this.currentState = APP_STATES.CALIBRATING;
+            this.calibrationProgress = 0;
+            this.calibrationPrompt = prompt;
+            this.notify();
+        }
+    }
+
+    updateCalibrationProgress(progress) {
+        this.calibrationProgress = progress;
+        this.notify();
+    }
+
+    requireCalibration() {
+        if (!this.userHeight) return;
+        this.currentState = APP_STATES.AWAITING_CALIBRATION;
+        this.lockedSide = null;
+        this.notify();
+    }
+
+    calibrationComplete() {
+        this.currentState = APP_STATES.READY_FOR_SET;
+        this.lockedSide = null;
+        this.notify();
+    }
+
+    // The arm the next single-arm set has to start with, null for either
+    get sideFirst() {
+        return this.preferredSideDone ? null : this.preferredSide;
+    }
+
+    lockSide(side) {
+        this.lockedSide = side;
+        if (side === 'LEFT' || side === 'RIGHT') this.preferredSideDone = true;
+        this.currentState = APP_STATES.TRACKING;
+        this.notify();
+    }
+
+    endSet() {
+        this.currentState = APP_STATES.BETWEEN_SETS;
+        this.notify();
+    }
+
+    pause() {
+        this.pausedFrom = this.currentState;
+        this.currentState = APP_STATES.PAUSED;
+        this.notify();
+    }
+
+    resume() {
+        this.currentState = this.pausedFrom;
+        this.pausedFrom = null;
+        this.notify();
+    }
+
+    // Straight back to the side lock, keeping the current calibration
+    readyForSet() {
+        this.currentState = APP_STATES.READY_FOR_SET;
+        this.lockedSide = null;
+        this.notify();
+    }
+
+    setExercise(exercise) {
+        if (exercise !== this.exercise) this.preferredSideDone = false;
+        this.exercise = exercise;
+        this.notify();
+    }
+
+    setBilateral(bilateral) {
+        this.bilateral = bilateral;
+        this.notify();
+    }
+
+    setCompletedSets(count) {
+        this.setNumber = count + 1;
+        this.notify();
+    }
+
+    get canAcceptCalibrationTrigger() {
+        return this.currentState === APP_STATES.AWAITING_CALIBRATION || 
+               this.currentState === APP_STATES.BETWEEN_SETS;
+    }
+
+    get canAcceptResetCommand() {
+        return this.currentState === APP_STATES.TRACKING;
+    }
+
+    get promptText() {
+        switch (this.currentState) {
+            case APP_STATES.NEEDS_HEIGHT_INPUT: return "Please enter your height";
+            case APP_STATES.AWAITING_CALIBRATION: return "Hold T-Pose or say 'Ready'";
+            case APP_STATES.CALIBRATING: return this.calibrationPrompt || "Calibrating... Hold still";
+            case APP_STATES.READY_FOR_SET: return this.bilateral
+                ? `${exerciseLabel(this.exercise, true)}: Start Moving (Both bells)`
+                : `${exerciseLabel(this.exercise)}: Start Moving (${this.sideFirst ? `${this.sideFirst} arm first` : 'Auto-lock side'})`;
+            case APP_STATES.TRACKING: {
+                const label = exerciseLabel(this.exercise, this.bilateral);
+                if (this.lockedSide === 'CENTER' || this.lockedSide === 'BOTH') return `Tracking ${label}`;
+                return `Tracking ${label}: ${this.lockedSide || ''} Side`;
+            }
+            case APP_STATES.BETWEEN_SETS: return "Set Complete. T-Pose to reset.";
+            case APP_STATES.PAUSED: return "Paused. Say 'resume' to continue";
+            default: return "";
+        }
+    }
+}
+// ============================================================================
+// 3. CORE VBT LOGIC
+// ============================================================================
+
+// Landmark methods measure a body length over many still frames; reference methods are
+// measured once by hand on a frame (two taps across an object of known size).
+export const CALIBRATION_METHODS = {
+    HEIGHT: { label: 'Body Height (nose to ankles)', landmarks: true },
+    SHOULDER_WIDTH: { label: 'Shoulder Width', landmarks: true },
+    FOREARM: { label: 'Forearm Length (T-pose)', landmarks: true },
+    KETTLEBELL: { label: 'Kettlebell Width', reference: true, defaultCm: 21 }, // Competition bells are 21 cm across
+    MARKER: { label: 'Printed Marker', reference: true, defaultCm: 20 }
+};
+
+// Share of standing height used when no measured length is entered. Nose to ankle is
+// about 88% of height; segment ratios are Drillis & Contini's anthropometric estimates.
+const HEIGHT_RATIOS = { HEIGHT: 0.88, SHOULDER_WIDTH: 0.259, FOREARM: 0.146 };
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Torso and shin length in frame pixels, only while standing upright (a hip hinge or a
+// squat shortens both in the image), else null. Used to follow the camera distance.
+export function uprightSegments(pose, frameHeight, frameWidth = frameHeight) {
+    const { LEFT, RIGHT } = pose;
+    const points = [LEFT.SHOULDER, RIGHT.SHOULDER, LEFT.HIP, RIGHT.HIP, LEFT.KNEE, RIGHT.KNEE, LEFT.ANKLE, RIGHT.ANKLE];
+    if (points.some(p => !p || (p.visibility ?? 1) < 0.5)) return null;
+
+    const pixels = (a, b) => Math.hypot((a.x - b.x) * frameWidth, (a.y - b.y) * frameHeight);
+    const shoulders = Vector3D.midpoint(LEFT.SHOULDER, RIGHT.SHOULDER);
+    const hips = Vector3D.midpoint(LEFT.HIP, RIGHT.HIP);
+    const torsoUpright = Math.abs(shoulders.x - hips.x) * frameWidth < 0.35 * (hips.y - shoulders.y) * frameHeight;
+    const kneesStraight = [LEFT, RIGHT].every(s => Vector3D.angleBetween(
+        Vector3D.subtract(s.HIP, s.KNEE), Vector3D.subtract(s.ANKLE, s.KNEE)) > 160);
+    if (!torsoUpright || !kneesStraight) return null;
+
+    return {
+        torso: pixels(shoulders, hips),
+        shin: (pixels(LEFT.KNEE, LEFT.ANKLE) + pixels(RIGHT.KNEE, RIGHT.ANKLE)) / 2
+    };
+}
+
+export class CalibrationSystem {
+    constructor() {
+        this.frames = [];
+        this.pixelToCmRatio = 1.0;
+        this.Z_SCALE = 1.0;
+        this.method = 'HEIGHT';
+        this.lengthCm = null; // Measured segment or object length; null estimates it from height
+        this.confidence = null;
+        this.referenceSegments = null; // Upright torso/shin pixels at calibration, see ScaleMonitor
+        this.REQUIRED_FRAMES = 60;
+        this.MIN_VISIBILITY = 0.5;
+        this.MAX_MOTION = 0.008; // normalized units per frame
+        this.reset();
+    }
+
+    configure(method, lengthCm = null) {
+        if (!CALIBRATION_METHODS[method]) return;
+        this.method = method;
+        this.lengthCm = lengthCm > 0 ? lengthCm : null;
+    }
+
+    reset() {
+        this.frames = [];
+        this.segmentFrames = [];
+        this.rejected = 0;
+        this.lastRejection = null;
+        this.previousPoints = null;
+    }
+
+    get usesLandmarks() { return !!CALIBRATION_METHODS[this.method].landmarks; }
+    get progress() { return Math.min(1, this.frames.length / this.REQUIRED_FRAMES); }
+
+    // Landmarks the method measures and their length in frame pixels
+    measure(pose, frameHeight, frameWidth) {
+        const { LEFT, RIGHT } = pose;
+        const pixels = (a, b) => Math.hypot((a.x - b.x) * frameWidth, (a.y - b.y) * frameHeight);
+        switch (this.method) {
+            case 'SHOULDER_WIDTH': {
+                const points = [LEFT.SHOULDER, RIGHT.SHOULDER];
+                return { points, length: () => pixels(LEFT.SHOULDER, RIGHT.SHOULDER) };
+            }
+            case 'FOREARM': {
+                const points = [LEFT.ELBOW, LEFT.WRIST, RIGHT.ELBOW, RIGHT.WRIST];
+                return { points, length: () => (pixels(LEFT.ELBOW, LEFT.WRIST) + pixels(RIGHT.ELBOW, RIGHT.WRIST)) / 2 };
+            }
+            default: {
+                // Using simple Y-distance for standing calibration as it's robust
+                const points = [LEFT.ANKLE, RIGHT.ANKLE, LEFT.NOSE];
+                return { points, length: () => Math.abs(Vector3D.midpoint(LEFT.ANKLE, RIGHT.ANKLE).y - LEFT.NOSE.y) * frameHeight };
+            }
+        }
+    }
+
+    // Frames with hidden or low-visibility landmarks, or with the user moving, are rejected;
+    // lastRejection says why (NOT_IN_FRAME, LOW_VISIBILITY, MOVING).
+    captureFrame(pose, canvasHeight, canvasWidth = canvasHeight) {
+        const reject = (reason) => {
+            this.rejected++;
+            this.lastRejection = reason;
+            return this.progress;
+        };
+        if (!pose.LEFT || !pose.RIGHT) return reject('NOT_IN_FRAME');
+        const { points, length } = this.measure(pose, canvasHeight, canvasWidth);
+        if (points.some(p => !p)) return reject('NOT_IN_FRAME');
+        if (points.some(p => (p.visibility ?? 1) < this.MIN_VISIBILITY)) return reject('LOW_VISIBILITY');
+
+        const previous = this.previousPoints;
+        this.previousPoints = points.map(p => ({ x: p.x, y: p.y }));
+        // Stillness needs a previous frame to compare with, so the first one only seeds it
+        if (!previous) return this.progress;
+        if (points.some((p, i) => Math.hypot(p.x - previous[i].x, p.y - previous[i].y) > this.MAX_MOTION)) {
+            return reject('MOVING');
+        }
+
+        this.frames.push(length());
+        const segments = uprightSegments(pose, canvasHeight, canvasWidth);
+        if (segments) this.segmentFrames.push(segments);
+        this.lastRejection = null;
+        return this.progress;
+    }
+
+    expectedLengthCm(userHeightInches) {
+        if (this.lengthCm) return this.lengthCm;
+        const method = CALIBRATION_METHODS[this.method];
+        return method.reference ? method.defaultCm : userHeightInches * 2.54 * HEIGHT_RATIOS[this.method];
+    }
+
+    finalize(userHeightInches) {
+        if (this.frames.length === 0) return;
+        const avgPixels = this.frames.reduce((a, b) => a + b, 0) / this.frames.length;
+        this.pixelToCmRatio = avgPixels / this.expectedLengthCm(userHeightInches);
+
+        // Confidence: how steady the accepted frames were (5% spread scores zero), how many
+        // frames had to be thrown away, and whether the length was measured or estimated.
+        const sd = Math.sqrt(this.frames.reduce((sum, v) => sum + (v - avgPixels) ** 2, 0) / this.frames.length);
+        const steadiness = Math.max(0, 1 - (sd / avgPixels) / 0.05);
+        const acceptance = this.frames.length / (this.frames.length + this.rejected);
+        const lengthSource = this.lengthCm ? 1 : 0.85;
+        this.confidence = steadiness * (0.5 + 0.5 * acceptance) * lengthSource;
+        this.referenceSegments = this.segmentFrames.length > 0 ? {
+            torso: median(this.segmentFrames.map(s => s.torso)),
+            shin: median(this.segmentFrames.map(s => s.shin))
+        } : null;
+    }
+
+    // Reference objects: pixelLength is the measured width of the object in frame pixels.
+    // Its accuracy hinges on the object being as far from the camera as the lifter,
+    // which can't be checked, so the confidence is fixed.
+    finalizeReference(pixelLength, userHeightInches) {
+        if (!(pixelLength > 0)) return false;
+        this.pixelToCmRatio = pixelLength / this.expectedLengthCm(userHeightInches);
+        this.confidence = 0.7;
+        this.referenceSegments = null;
+        return true;
+    }
+
+    toJSON() {
+        return { method: this.method, lengthCm: this.lengthCm, pixelToCmRatio: this.pixelToCmRatio, confidence: this.confidence, referenceSegments: this.referenceSegments };
+    }
+
+    restore(saved) {
+        this.configure(saved.method, saved.lengthCm);
+        this.pixelToCmRatio = saved.pixelToCmRatio;
+        this.confidence = saved.confidence ?? null;
+        this.referenceSegments = saved.referenceSegments || null;
+    }
+
+    getPixelsPerMeter() { return this.pixelToCmRatio * 100; }
+}
+
+// --- Scale Drift ---
+// Re-estimates the calibration scale while the athlete moves around: upright torso and
+// shin lengths are compared with those seen at calibration. factor > 1 means the athlete
+// is closer to the camera than when calibrating. Without reference segments (reference
+// objects, older saved calibrations) nothing ties a frame to the calibrated distance, so
+// factor stays 1 and available is false.
+export class ScaleMonitor {
+    constructor() {
+        this.reference = null;
+        this.SMOOTHING = 0.1;
+        this.WINDOW_MS = 5000;
+        this.WARN_CHANGE = 0.15; // 15% closer or farther
+        this.reset();
+    }
+
+    reset() {
+        this.factor = 1;
+        this.samples = [];
+    }
+
+    setReference(segments) {
+        this.reference = segments;
+        this.reset();
+    }
+
+    update(pose, frameHeight, frameWidth, timestamp) {
+        if (!this.reference) return;
+        const segments = uprightSegments(pose, frameHeight, frameWidth);
+        if (!segments) return;
+
+        const torso = segments.torso / this.reference.torso;
+        const shin = segments.shin / this.reference.shin;
+        const ratio = (torso + shin) / 2;
+        this.samples.push({ ratio, spread: Math.abs(torso - shin), t: timestamp });
+        while (this.samples.length && timestamp - this.samples[0].t > this.WINDOW_MS) this.samples.shift();
+        this.factor += (ratio - this.factor) * this.SMOOTHING;
+    }
+
+    get available() { return this.reference !== null; }
+
+    // 0-1: enough recent upright frames, steady ratios, and torso and shin agreeing
+    get confidence() {
+        const n = this.samples.length;
+        if (n === 0) return 0;
+        const mean = this.samples.reduce((sum, s) => sum + s.ratio, 0) / n;
+        const sd = Math.sqrt(this.samples.reduce((sum, s) => sum + (s.ratio - mean) ** 2, 0) / n);
+        const spread = this.samples.reduce((sum, s) => sum + s.spread, 0) / n;
+        const coverage = Math.min(1, n / 30);
+        return coverage * Math.max(0, 1 - sd / 0.05) * Math.max(0, 1 - spread / 0.1);
+    }
+
+    // Relative change in distance since calibration: 0.2 = 20% farther away
+    get distanceChange() { return 1 / this.factor - 1; }
+    get drifted() { return Math.abs(this.factor - 1) > this.WARN_CHANGE; }
+}
+
+export const VELOCITY_METRICS = {
+    meanVelocity: 'Mean Concentric Velocity (3D)',
+    peakVelocity: 'Peak Velocity (3D)',
+    verticalMeanVelocity: 'Mean Vertical Velocity',
+    verticalPeakVelocity: 'Peak Vertical Velocity'
+};
+
+export const BASELINE_METHODS = {
+    MEAN: 'Mean of first reps',
+    BEST_OF_N: 'Best of first reps',
+    BEST: 'Best rep so far'
+};
+
+// Zone boundaries are the velocity loss (%) at which each zone begins.
+// targetLoss (%) ends the set once reached for targetConsecutiveReps reps in a row; null disables it.
+export const DEFAULT_FATIGUE_SETTINGS = {
+    baselineReps: 3,
+    baselineMethod: 'MEAN',
+    zones: { MILD: 5, MODERATE: 10, HIGH: 20, CRITICAL: 30 },
+    targetLoss: null,
+    targetConsecutiveReps: 2
+};
+
+// Stored values that are not numbers (an emptied field is saved as null) are dropped, so the
+// defaults apply instead of a null zone that every drop would reach. targetLoss null means off.
+function validFatigueSettings(settings) {
+    const valid = {};
+    for (const [key, value] of Object.entries(settings || {})) {
+        if (key === 'zones') {
+            valid.zones = Object.fromEntries(Object.entries(value || {}).filter(([, v]) => Number.isFinite(v)));
+        } else if (key === 'targetLoss') {
+            if (value === null || Number.isFinite(value)) valid.targetLoss = value;
+        } else if (typeof DEFAULT_FATIGUE_SETTINGS[key] !== 'number' || Number.isFinite(value)) {
+            valid[key] = value;
+        }
+    }
+    return valid;
+}
+
+// Settings are stored as { default: {...}, [EXERCISE]: {...} }; exercise entries override the default.
+export function resolveFatigueSettings(settingsByExercise = {}, exercise = null) {
+    const base = validFatigueSettings(settingsByExercise.default);
+    const own = validFatigueSettings(exercise && settingsByExercise[exercise]);
+    return {
+        ...DEFAULT_FATIGUE_SETTINGS,
+        ...base,
+        ...own,
+        zones: { ...DEFAULT_FATIGUE_SETTINGS.zones, ...base.zones, ...own.zones }
+    };
+}
+
+export class VelocityFatigueTracker {
+    constructor(metric = 'meanVelocity', settings = DEFAULT_FATIGUE_SETTINGS) {
+        this.metric = metric; // Which VELOCITY_METRICS key drives baseline and fatigue
+        this.settings = resolveFatigueSettings({ default: settings });
+        this.reset();
+    }
+    configure(settings) {
+        this.settings = resolveFatigueSettings({ default: settings });
+    }
+    reset() {
+        this.data = {
+            velocities: [],
+            reps: [],
+            baselineVelocity: null,
+            peakVelocity: null,
+            dropFromBaseline: null, // % below the baseline, null until there is one
+            repCount: 0,
+            fatigueZone: 'FRESH',
+            targetLossStreak: 0,
+            targetReached: false
+        };
+    }
+    computeBaseline() {
+        const d = this.data;
+        const { baselineReps, baselineMethod } = this.settings;
+        if (baselineMethod === 'BEST') return d.peakVelocity;
+        if (d.repCount !== baselineReps) return d.baselineVelocity;
+        const first = d.velocities.slice(0, baselineReps);
+        if (baselineMethod === 'BEST_OF_N') return Math.max(...first);
+        return first.reduce((a, b) => a + b, 0) / first.length;
+    }
+    zoneFor(drop) {
+        const { zones } = this.settings;
+        if (drop >= zones.CRITICAL) return 'CRITICAL';
+        if (drop >= zones.HIGH) return 'HIGH';
+        if (drop >= zones.MODERATE) return 'MODERATE';
+        if (drop >= zones.MILD) return 'MILD';
+        return 'FRESH';
+    }
+    // kinematics: per-rep metrics in SI units, must contain the selected metric
+    addRep(kinematics, timestamp = Date.now()) {
+        const d = this.data;
+        const velocity = kinematics[this.metric];
+        d.velocities.push(velocity);
+        d.repCount++;
+        if (!d.peakVelocity || velocity > d.peakVelocity) d.peakVelocity = velocity;
+        
+        d.baselineVelocity = this.computeBaseline();
+        
+        if (d.baselineVelocity) {
+            d.dropFromBaseline = Math.max(0, ((d.baselineVelocity - velocity) / d.baselineVelocity) * 100);
+            d.fatigueZone = this.zoneFor(d.dropFromBaseline);
+
+            const { targetLoss, targetConsecutiveReps } = this.settings;
+            if (targetLoss !== null && targetLoss !== undefined) {
+                d.targetLossStreak = d.dropFromBaseline >= targetLoss ? d.targetLossStreak + 1 : 0;
+                d.targetReached = d.targetLossStreak >= targetConsecutiveReps;
+            }
+        }
+        d.reps.push({ ...kinematics, velocity, timestamp, dropFromBaseline: d.dropFromBaseline, fatigueZone: d.fatigueZone });
+        return d;
+    }
+    // Baseline, zones and target streak depend on every rep, so the rest are re-added
+    removeLastRep() {
+        const kept = this.data.reps.slice(0, -1);
+        this.reset();
+        kept.forEach(rep => this.addRep(rep, rep.timestamp));
+        return this.data;
+    }
+}
+
+// --- Landmark Quality ---
+// MediaPipe scores every landmark with visibility (in view, not occluded) and presence.
+// Below LANDMARK_MIN_CONFIDENCE the position is a guess, e.g. a wrist hidden behind the bell.
+export const LANDMARK_MIN_CONFIDENCE = 0.5;
+export const landmarkConfidence = (p) => (p ? Math.min(p.visibility ?? 1, p.presence ?? 1) : 0);
+
+// The landmarks a rep depends on: working arm and torso of the side (both for CENTER/BOTH)
+const TRACKED_LANDMARKS = ['WRIST', 'ELBOW', 'SHOULDER', 'HIP'];
+const trackedSides = (side) => (side === 'LEFT' || side === 'RIGHT' ? [side] : ['LEFT', 'RIGHT']);
+export function trackedLandmarks(pose, side) {
+    return trackedSides(side).flatMap(s => TRACKED_LANDMARKS.map(name => pose[s][name]));
+}
+
+// LandmarkGate keys of what landmark calibration reads, the scale reference segments included
+const CALIBRATION_LANDMARK_KEYS = [...bothSides('SHOULDER', 'ELBOW', 'WRIST', 'HIP', 'KNEE', 'ANKLE'), 'LEFT.NOSE'];
+
+// Replaces low-confidence landmarks by interpolating between the confident samples around
+// them. Frames are only held back while a gap is open, so there is no delay otherwise; gaps
+// longer than MAX_GAP_FRAMES are released unfilled and the engine treats them as lost.
+// Filled landmarks carry interpolated: true. Only the landmarks passed as gated (all by
+// default) can hold frames back; the rest pass as they are.
+export class LandmarkGate {
+    constructor() {
+        this.MAX_GAP_FRAMES = 6; // ~200 ms at 30 fps
+        this.reset();
+    }
+
+    reset() {
+        this.lastGood = {}; // key -> { entry, point, world }
+        this.gaps = {}; // key -> { from, frames }
+        this.buffer = [];
+    }
+
+    // frame: { pose, timestamp, ... }; gated: Set of 'SIDE.NAME' keys, or null for all.
+    // Returns the frames that are ready, oldest first.
+    push(frame, gated = null) {
+        const pose = {
+            LEFT: { ...frame.pose.LEFT },
+            RIGHT: { ...frame.pose.RIGHT },
+            ...(frame.pose.WORLD ? { WORLD: { LEFT: { ...frame.pose.WORLD.LEFT }, RIGHT: { ...frame.pose.WORLD.RIGHT } } } : {})
+        };
+        const entry = { ...frame, pose };
+
+        for (const side of ['LEFT', 'RIGHT']) {
+            for (const name of Object.keys(pose[side])) {
+                const key = `${side}.${name}`;
+                const point = pose[side][name];
+                const gap = this.gaps[key];
+                if (gated && !gated.has(key)) {
+                    delete this.gaps[key];
+                    delete this.lastGood[key];
+                } else if (landmarkConfidence(point) >= LANDMARK_MIN_CONFIDENCE) {
+                    if (gap) this.fill(side, name, gap, entry);
+                    delete this.gaps[key];
+                    this.lastGood[key] = { entry, point, world: pose.WORLD?.[side][name] };
+                } else if (this.lastGood[key] && (!gap || gap.frames.length < this.MAX_GAP_FRAMES)) {
+                    (this.gaps[key] ||= { from: this.lastGood[key], frames: [] }).frames.push(entry);
+                } else {
+                    // Never seen, or hidden too long: released as is
+                    delete this.gaps[key];
+                    delete this.lastGood[key];
+                }
+            }
+        }
+
+        this.buffer.push(entry);
+        const openSince = Object.values(this.gaps).map(g => this.buffer.indexOf(g.frames[0]));
+        return this.buffer.splice(0, openSince.length ? Math.min(...openSince) : this.buffer.length);
+    }
+
+    fill(side, name, gap, entry) {
+        const { from } = gap;
+        const to = { point: entry.pose[side][name], world: entry.pose.WORLD?.[side][name] };
+        const visibility = Math.min(landmarkConfidence(from.point), landmarkConfidence(to.point));
+        const lerp = (a, b, k) => ({ x: a.x + (b.x - a.x) * k, y: a.y + (b.y - a.y) * k, z: (a.z || 0) + ((b.z || 0) - (a.z || 0)) * k, visibility, interpolated: true });
+        for (const frame of gap.frames) {
+            const k = (frame.timestamp - from.entry.timestamp) / (entry.timestamp - from.entry.timestamp);
+            frame.pose[side][name] = lerp(from.point, to.point, k);
+            if (frame.pose.WORLD && from.world && to.world) frame.pose.WORLD[side][name] = lerp(from.world, to.world, k);
+        }
+    }
+}
+
+// --- Exercise Profiles ---
+// Each profile decides which point is tracked, where a rep may start (the "bottom")
+// and what ends the concentric phase. Heights are compared in torso lengths so the
+// rules hold at any camera distance. Normalized Y grows downwards; vy > 0 is upwards.
+const STILL_VELOCITY = 0.1; // normalized units/s
+
+const armPoint = (pose, side) => pose[side].WRIST;
+const hipCenter = (pose) => Vector3D.midpoint(pose.LEFT.HIP, pose.RIGHT.HIP);
+
+// One wrist clearly higher than the other picks the working arm
+const lockRaisedArm = (pose) => {
+    if (Math.abs(pose.LEFT.WRIST.y - pose.RIGHT.WRIST.y) <= 0.15) return null;
+    return pose.LEFT.WRIST.y < pose.RIGHT.WRIST.y ? 'LEFT' : 'RIGHT'; // 0 is top, smaller Y is higher
+};
+
+// Double bells: both wrists level with each other and above the hips
+const bothWristsUp = (pose) =>
+    Math.abs(pose.LEFT.WRIST.y - pose.RIGHT.WRIST.y) < 0.1 &&
+    pose.LEFT.WRIST.y < pose.LEFT.HIP.y && pose.RIGHT.WRIST.y < pose.RIGHT.HIP.y;
+const lockBothArms = (pose) => (bothWristsUp(pose) ? 'BOTH' : null);
+
+export const EXERCISE_PROFILES = {
+    SWING: {
+        id: 'SWING',
+        label: 'Swing',
+        doubleLabel: 'Double Swing',
+        trackedPoint: armPoint,
+        lockSide: lockRaisedArm,
+        lockBilateral: lockBothArms,
+        // The side lock fires while the first rep rises out of the backswing
+        armedOnLock: true,
+        // Backswing: bell below the hips
+        isStart: (m) => m.y > m.hipY,
+        // Hip-driven float tops out at chest height or higher
+        isComplete: (m) => m.vy <= 0 && m.y <= m.shoulderY + m.torso * 0.35,
+        technique: { hinge: true, straightArm: true, uprightTop: true }
+    },
+    CLEAN: {
+        id: 'CLEAN',
+        label: 'Clean',
+        doubleLabel: 'Double Clean',
+        trackedPoint: armPoint,
+        lockSide: lockRaisedArm,
+        lockBilateral: lockBothArms,
+        armedOnLock: true,
+        isStart: (m) => m.y > m.hipY,
+        // Bell settles in the rack at shoulder height
+        isComplete: (m) => Math.abs(m.y - m.shoulderY) < m.torso * 0.3 && Math.abs(m.vy) < STILL_VELOCITY,
+        technique: { hinge: true, uprightTop: true }
+    },
+    SNATCH: {
+        id: 'SNATCH',
+        label: 'Snatch',
+        doubleLabel: 'Double Snatch',
+        trackedPoint: armPoint,
+        lockSide: lockRaisedArm,
+        lockBilateral: lockBothArms,
+        armedOnLock: true,
+        isStart: (m) => m.y > m.hipY,
+        // Overhead lockout: wrist well above the head and stopped
+        isComplete: (m) => m.y < m.noseY - m.torso * 0.2 && Math.abs(m.vy) < STILL_VELOCITY,
+        technique: { hinge: true, lockout: true, uprightTop: true }
+    },
+    PRESS: {
+        id: 'PRESS',
+        label: 'Press',
+        doubleLabel: 'Double Press',
+        trackedPoint: armPoint,
+        lockSide: lockRaisedArm,
+        lockBilateral: lockBothArms,
+        // Start from a rack position held for RACK_HOLD_FRAMES
+        isStart: (m) => Math.abs(m.y - m.shoulderY) < m.torso * 0.3 && Math.abs(m.vy) < STILL_VELOCITY,
+        holdStart: true,
+        isComplete: (m) => m.y < m.noseY - m.torso * 0.2 && Math.abs(m.vy) < STILL_VELOCITY,
+        technique: { lockout: true, uprightTop: true }
+    },
+    GOBLET_SQUAT: {
+        id: 'GOBLET_SQUAT',
+        label: 'Goblet Squat',
+        doubleLabel: 'Double Front Squat',
+        trackedPoint: hipCenter,
+        // World landmarks are hip-centred, so hip travel only shows in the image
+        useWorld: false,
+        // Both hands holding the bell at the chest
+        lockSide: (pose) => {
+            const shoulderWidth = Math.abs(pose.LEFT.SHOULDER.x - pose.RIGHT.SHOULDER.x);
+            const handsTogether = Math.abs(pose.LEFT.WRIST.x - pose.RIGHT.WRIST.x) < shoulderWidth;
+            const atChest = pose.LEFT.WRIST.y < pose.LEFT.HIP.y && pose.RIGHT.WRIST.y < pose.RIGHT.HIP.y;
+            return handsTogether && atChest ? 'CENTER' : null;
+        },
+        // Double front squat: a bell racked on each side, the hips are still the tracked point
+        lockBilateral: (pose) => (bothWristsUp(pose) ? 'CENTER' : null),
+        // Hips at least halfway down towards knee height
+        isStart: (m) => m.kneeY - m.y < m.torso * 0.5,
+        // Back to standing
+        isComplete: (m) => m.kneeY - m.y > m.torso * 0.7 && m.vy <= STILL_VELOCITY,
+        technique: { squat: true }
+    }
+};
+
+export const DEFAULT_EXERCISE = 'SWING';
+
+// --- Technique Analysis ---
+// Joint angles over each rep cycle (previous top -> bottom -> this top), in degrees where
+// 180 is a straight joint. World landmarks give true 3D angles; without them the image
+// angles are skewed by camera angle and aspect ratio, so treat them as approximate.
+// Faults with voidsRep make a rep not count (see VBTEngine noRepFaults).
+export const TECHNIQUE_FAULTS = {
+    SHALLOW_HINGE: { label: 'Shallow hinge', voidsRep: false },
+    SQUATTED_SWING: { label: 'Squatting instead of hinging', voidsRep: false },
+    BENT_ARM: { label: 'Bent arm at the top', voidsRep: false },
+    SOFT_LOCKOUT: { label: 'Soft lockout', voidsRep: true },
+    TORSO_LEAN: { label: 'Leaning at the top', voidsRep: false },
+    CHEST_DROP: { label: 'Chest dropping', voidsRep: false }
+};
+
+const jointAngle = (a, joint, b) => Vector3D.angleBetween(Vector3D.subtract(a, joint), Vector3D.subtract(b, joint));
+// Angle of the segment bottom -> top from straight up (Y points down)
+const fromVertical = (top, bottom) => Vector3D.angleBetween(Vector3D.subtract(top, bottom), { x: 0, y: -1, z: 0 });
+
+export class TechniqueTracker {
+    constructor() {
+        this.THRESHOLDS = {
+            MIN_HINGE: 45, // hip flexion in the backswing
+            SQUAT_KNEE: 45, // knee flexion that turns a hinge into a squat...
+            SQUAT_KNEE_RATIO: 0.6, // ...when it is also this close to the hip flexion
+            BENT_ARM: 30, // elbow bend at the top of a swing
+            LOCKOUT_ELBOW: 15, // elbow bend overhead
+            LOCKOUT_VERTICAL: 25, // arm angle from vertical overhead
+            TOP_TORSO: 15, // torso from vertical at the top
+            SQUAT_TORSO: 50 // torso from vertical at the bottom of a squat
+        };
+        this.reset();
+    }
+
+    // partial: the window starts mid-rep (side locked on the way up), so the
+    // bottom of the first rep was not seen
+    reset(partial = false) {
+        this.window = { minHip: null, minKnee: null, maxTorso: null, partial };
+    }
+
+    update(pose, side) {
+        const p = pose.WORLD || pose;
+        const w = this.window;
+        for (const s of side === 'LEFT' || side === 'RIGHT' ? [side] : ['LEFT', 'RIGHT']) {
+            const hip = jointAngle(p[s].SHOULDER, p[s].HIP, p[s].KNEE);
+            w.minHip = Math.min(w.minHip ?? hip, hip);
+            // Ankles are often out of frame
+            if (landmarkConfidence(pose[s].ANKLE) >= LANDMARK_MIN_CONFIDENCE) {
+                const knee = jointAngle(p[s].HIP, p[s].KNEE, p[s].ANKLE);
+                w.minKnee = Math.min(w.minKnee ?? knee, knee);
+            }
+        }
+        const torso = fromVertical(Vector3D.midpoint(p.LEFT.SHOULDER, p.RIGHT.SHOULDER), Vector3D.midpoint(p.LEFT.HIP, p.RIGHT.HIP));
+        w.maxTorso = Math.max(w.maxTorso ?? torso, torso);
+    }
+
+    // Called on the top frame of a rep. Returns its technique record and starts the next window.
+    finish(pose, side, checks = {}) {
+        const p = pose.WORLD || pose;
+        const T = this.THRESHOLDS;
+        const w = this.window;
+        const arms = side === 'LEFT' || side === 'RIGHT' ? [side] : ['LEFT', 'RIGHT'];
+        const seenBottom = !w.partial && w.minHip !== null;
+
+        const result = {
+            hingeDepth: seenBottom ? 180 - w.minHip : null,
+            kneeFlexion: seenBottom && w.minKnee !== null ? 180 - w.minKnee : null,
+            torsoAngle: seenBottom ? w.maxTorso : null,
+            topTorsoAngle: fromVertical(Vector3D.midpoint(p.LEFT.SHOULDER, p.RIGHT.SHOULDER), Vector3D.midpoint(p.LEFT.HIP, p.RIGHT.HIP)),
+            // Worst arm for double bells
+            elbowBend: Math.max(...arms.map(s => 180 - jointAngle(p[s].SHOULDER, p[s].ELBOW, p[s].WRIST))),
+            armFromVertical: Math.max(...arms.map(s => fromVertical(p[s].WRIST, p[s].SHOULDER))),
+            lockout: null,
+            faults: []
+        };
+        const fault = (id, when) => { if (when) result.faults.push(id); };
+
+        if (checks.hinge && result.hingeDepth !== null) {
+            fault('SHALLOW_HINGE', result.hingeDepth < T.MIN_HINGE);
+            fault('SQUATTED_SWING', result.kneeFlexion !== null && result.kneeFlexion > T.SQUAT_KNEE &&
+                result.kneeFlexion > result.hingeDepth * T.SQUAT_KNEE_RATIO);
+        }
+        if (checks.straightArm) fault('BENT_ARM', result.elbowBend > T.BENT_ARM);
+        if (checks.lockout) {
+            // 0-1: share of the elbow extension from 90 degrees to the lockout threshold
+            result.lockout = Math.max(0, Math.min(1, (90 - result.elbowBend) / (90 - T.LOCKOUT_ELBOW)));
+            fault('SOFT_LOCKOUT', result.elbowBend > T.LOCKOUT_ELBOW || result.armFromVertical > T.LOCKOUT_VERTICAL);
+        }
+        if (checks.uprightTop) fault('TORSO_LEAN', result.topTorsoAngle > T.TOP_TORSO);
+        if (checks.squat && result.torsoAngle !== null) fault('CHEST_DROP', result.torsoAngle > T.SQUAT_TORSO);
+
+        this.reset();
+        return result;
+    }
+}
+
+export function exerciseLabel(exercise, bilateral = false) {
+    const profile = EXERCISE_PROFILES[exercise] || EXERCISE_PROFILES[DEFAULT_EXERCISE];
+    return bilateral ? profile.doubleLabel : profile.label;
+}
+
+export class VBTStateMachine {
+    constructor(exercise = DEFAULT_EXERCISE) {
+        this.THRESHOLDS = {
+            RESET_DURATION_FRAMES: 45,
+            RACK_HOLD_FRAMES: 15,
+            MOVING_VELOCITY: 0.05
+        };
+        this.setExercise(exercise);
+    }
+
+    setExercise(exercise) {
+        this.profile = EXERCISE_PROFILES[exercise] || EXERCISE_PROFILES[DEFAULT_EXERCISE];
+        this.reset();
+    }
+
+    reset() {
+        // IDLE -> BOTTOM (armed in the start position) -> CONCENTRIC -> TOP -> BOTTOM ...
+        this.state = { phase: 'IDLE', resetProgress: 0, startHold: 0 };
+        this.rep = null; // Accumulators for the concentric phase in progress
+        this.filters = {};
+        this.technique = new TechniqueTracker();
+        // Forget the previous set's last sample so its dt/dy never leak into a new set
+        this.lastTime = null;
+        this.lastY = null;
+        this.lastWorld = null;
+        this.lastSample = null; // { x, y, speed, vertical, phase } of the last update, for drawing
+    }
+
+    // Called when a side is locked for a new set
+    startSet() {
+        this.reset();
+        if (this.profile.armedOnLock) {
+            this.state.phase = 'BOTTOM';
+            this.technique.reset(true);
+        }
+    }
+
+    // metersPerNorm converts normalized image units to meters for the image-plane fallback
+    update(pose, timestamp, lockedSide, metersPerNorm) {
+        this.lastSample = null;
+        if (!lockedSide) return null;
+
+        // 1. Check Standing Reset (Hands Down)
+        if (this.checkStandingPose(pose)) {
+            this.state.resetProgress++;
+            if (this.state.resetProgress > this.THRESHOLDS.RESET_DURATION_FRAMES) {
+                return { type: 'STANDING_RESET' };
+            }
+        } else {
+            this.state.resetProgress = 0;
+        }
+
+        // 2. Velocity Tracking
+        const point = this.profile.trackedPoint(pose, lockedSide);
+        const landmarks = trackedLandmarks(pose, lockedSide);
+        const sample = { interpolated: landmarks.some(p => p.interpolated), confidence: Math.min(...landmarks.map(landmarkConfidence)) };
+        const worldPoint = pose.WORLD && this.profile.useWorld !== false
+            ? this.smoothWorld(this.profile.trackedPoint(pose.WORLD, lockedSide), timestamp)
+            : null;
+
+        if (this.lastTime === null) {
+            this.lastTime = timestamp;
+            this.lastY = point.y;
+            this.lastWorld = worldPoint;
+            return null;
+        }
+        const dt = (timestamp - this.lastTime) / 1000;
+        this.lastTime = timestamp;
+
+        if (dt <= 0) return null;
+
+        // Image-plane vertical velocity drives the phase rules, in normalized units per second.
+        // Y increases downwards, so a positive vy is upwards.
+        const vy = (this.lastY - point.y) / dt;
+        this.lastY = point.y;
+
+        // Reported velocity: full 3D derivative of the metric, hip-centred world landmarks
+        // (world Y also points down). Without them, fall back to the calibrated image Y.
+        let velocity;
+        if (worldPoint && this.lastWorld) {
+            const delta = Vector3D.subtract(worldPoint, this.lastWorld);
+            velocity = { dt, speed: Vector3D.magnitude(delta) / dt, vertical: -delta.y / dt, height: -worldPoint.y, source: 'world' };
+        } else {
+            velocity = { dt, speed: Math.abs(vy) * metersPerNorm, vertical: vy * metersPerNorm, height: -point.y * metersPerNorm, source: 'image' };
+        }
+        this.lastWorld = worldPoint;
+
+        this.technique.update(pose, lockedSide);
+        const event = this.updatePhase(this.measure(pose, lockedSide, point, vy, timestamp), velocity, sample);
+        this.lastSample = { x: point.x, y: point.y, speed: velocity.speed, vertical: velocity.vertical, phase: this.state.phase };
+        if (event?.type === 'REP') event.technique = this.technique.finish(pose, lockedSide, this.profile.technique);
+        return event;
+    }
+
+    smoothWorld(point, timestamp) {
+        if (!this.filters.world) {
+            this.filters.world = { x: new OneEuroFilter(), y: new OneEuroFilter(), z: new OneEuroFilter() };
+        }
+        const f = this.filters.world;
+        return {
+            x: f.x.filter(point.x, timestamp),
+            y: f.y.filter(point.y, timestamp),
+            z: f.z.filter(point.z || 0, timestamp)
+        };
+    }
+
+    // Body reference heights for the profile rules
+    measure(pose, side, point, vy, timestamp) {
+        const ref = side === 'CENTER' ? 'LEFT' : side;
+        const shoulderY = (pose.LEFT.SHOULDER.y + pose.RIGHT.SHOULDER.y) / 2;
+        const hipY = (pose.LEFT.HIP.y + pose.RIGHT.HIP.y) / 2;
+        return {
+            t: timestamp,
+            y: point.y,
+            vy,
+            shoulderY: side === 'CENTER' ? shoulderY : pose[ref].SHOULDER.y,
+            hipY: side === 'CENTER' ? hipY : pose[ref].HIP.y,
+            kneeY: (pose.LEFT.KNEE.y + pose.RIGHT.KNEE.y) / 2,
+            noseY: pose.LEFT.NOSE ? pose.LEFT.NOSE.y : shoulderY,
+            torso: Math.abs(hipY - shoulderY) || 1
+        };
+    }
+
+    // sample: { interpolated, confidence } of the tracked landmarks in this frame
+    updatePhase(m, velocity, sample) {
+        const profile = this.profile;
+        const s = this.state;
+
+        if (s.phase === 'IDLE' || s.phase === 'TOP') {
+            s.startHold = profile.isStart(m) ? s.startHold + 1 : 0;
+            if (s.startHold >= (profile.holdStart ? this.THRESHOLDS.RACK_HOLD_FRAMES : 1)) {
+                s.phase = 'BOTTOM';
+                s.startHold = 0;
+            }
+            return null;
+        }
+
+        if (s.phase === 'BOTTOM') {
+            if (m.vy > this.THRESHOLDS.MOVING_VELOCITY) {
+                s.phase = 'CONCENTRIC';
+                this.rep = {
+                    startTime: m.t,
+                    startHeight: velocity.height - velocity.vertical * velocity.dt,
+                    pathLength: velocity.speed * velocity.dt,
+                    peakSpeed: velocity.speed,
+                    peakVertical: velocity.vertical,
+                    peakTime: m.t,
+                    source: velocity.source,
+                    frames: 1,
+                    interpolatedFrames: sample.interpolated ? 1 : 0,
+                    confidenceSum: sample.confidence
+                };
+            }
+            return null;
+        }
+
+        // CONCENTRIC
+        const r = this.rep;
+        r.pathLength += velocity.speed * velocity.dt;
+        r.frames++;
+        if (sample.interpolated) r.interpolatedFrames++;
+        r.confidenceSum += sample.confidence;
+        if (velocity.speed > r.peakSpeed) {
+            r.peakSpeed = velocity.speed;
+            r.peakTime = m.t;
+        }
+        if (velocity.vertical > r.peakVertical) r.peakVertical = velocity.vertical;
+
+        if (profile.isComplete(m)) {
+            s.phase = 'TOP';
+            const duration = (m.t - r.startTime) / 1000 + velocity.dt;
+            const rom = velocity.height - r.startHeight;
+            // Velocities in m/s, distances in m, times in s
+            return {
+                type: 'REP',
+                exercise: profile.id,
+                source: r.source,
+                meanVelocity: r.pathLength / duration,
+                peakVelocity: r.peakSpeed,
+                verticalMeanVelocity: rom / duration,
+                verticalPeakVelocity: r.peakVertical,
+                rom,
+                timeToPeak: (r.peakTime - r.startTime) / 1000 + velocity.dt,
+                duration,
+                // 0-1: mean landmark confidence, discounted by the share of interpolated frames
+                frames: r.frames,
+                interpolatedFrames: r.interpolatedFrames,
+                dataQuality: (r.confidenceSum / r.frames) * (1 - r.interpolatedFrames / r.frames)
+            };
+        }
+
+        // Turned back down without reaching the finish position: partial rep, not counted
+        if (m.vy < -this.THRESHOLDS.MOVING_VELOCITY) {
+            s.phase = profile.isStart(m) ? 'BOTTOM' : 'IDLE';
+        }
+        return null;
+    }
+
+    checkStandingPose(pose) {
+        // Hands below hips
+        const lWrist = pose.LEFT.WRIST;
+        const lHip = pose.LEFT.HIP;
+        const rWrist = pose.RIGHT.WRIST;
+        const rHip = pose.RIGHT.HIP;
+        return (lWrist.y > lHip.y && rWrist.y > rHip.y);
+    }
+}
+
+// --- Landmark Recording & Replay ---
+// Recordings hold the per-frame pose objects fed to VBTEngine.processFrame() plus the voice
+// commands that were applied, so a session can be re-run without camera or MediaPipe.
+export class LandmarkRecorder {
+    constructor() {
+        this.FORMAT = 'vbt-landmarks';
+        this.VERSION = 1;
+        this.recording = null;
+    }
+
+    get isRecording() { return this.recording !== null; }
+
+    start(meta) {
+        this.recording = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            recordedAt: new Date().toISOString(),
+            ...meta,
+            frames: [],
+            commands: []
+        };
+    }
+
+    captureFrame(pose, timestamp, canvasHeight, canvasWidth = canvasHeight) {
+        if (!this.recording) return;
+        this.recording.frames.push({ t: timestamp, h: canvasHeight, w: canvasWidth, pose: LandmarkRecorder.serializePose(pose) });
+    }
+
+    captureCommand(intent, timestamp, params = null) {
+        if (!this.recording) return;
+        this.recording.commands.push(params ? { t: timestamp, intent, params } : { t: timestamp, intent });
+    }
+
+    stop() {
+        const recording = this.recording;
+        this.recording = null;
+        return recording;
+    }
+
+    static serializePose(pose) {
+        const round = (v) => (typeof v === 'number' ? Math.round(v * 1e5) / 1e5 : v);
+        const sides = {};
+        for (const side of ['LEFT', 'RIGHT']) {
+            sides[side] = {};
+            for (const [name, lm] of Object.entries(pose[side])) {
+                if (!lm) continue;
+                sides[side][name] = { x: round(lm.x), y: round(lm.y), z: round(lm.z), visibility: round(lm.visibility) };
+            }
+        }
+        if (pose.WORLD) sides.WORLD = LandmarkRecorder.serializePose(pose.WORLD);
+        return sides;
+    }
+
+    static parse(text) {
+        const data = JSON.parse(text);
+        if (data.format !== 'vbt-landmarks' || !Array.isArray(data.frames)) {
+            throw new Error('Not a VBT landmark recording');
+        }
+        return { commands: [], ...data };
+    }
+}
+
+// ============================================================================
+// 4. HEADLESS ENGINE
+// ============================================================================
+
+export const ENGINE_EVENTS = {
+    STATE_CHANGE: 'stateChange',
+    GESTURE: 'gesture',
+    CALIBRATION_PROGRESS: 'calibrationProgress',
+    CALIBRATED: 'calibrated',
+    SET_START: 'setStart',
+    REP: 'rep',
+    FATIGUE_ZONE_CHANGE: 'fatigueZoneChange',
+    TARGET_LOSS_REACHED: 'targetLossReached',
+    REP_UNDONE: 'repUndone',
+    ATHLETE_CHANGE: 'athleteChange',
+    REP_REJECTED: 'repRejected',
+    TRACKING_LOST: 'trackingLost',
+    TRACKING_RESTORED: 'trackingRestored',
+    SCALE_DRIFT: 'scaleDrift',
+    SAMPLE: 'sample',
+    SET_END: 'setEnd'
+};
+
+// --- Voice Command Grammar ---
+// Whole utterances are matched, never substrings, so "are you ready to go" is not CALIBRATE.
+// Parameterized rules turn the captured words into params or reject the utterance.
+const NUMBER_WORDS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+    sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+// "24", "twenty four", "twelve point five", "seven and a half"
+export function parseSpokenNumber(text) {
+    let words = text.trim().split(' ');
+    let half = 0;
+    if (words.slice(-3).join(' ') === 'and a half') {
+        half = 0.5;
+        words = words.slice(0, -3);
+    }
+    if (words.length === 1 && /^\d+(\.\d+)?$/.test(words[0])) return parseFloat(words[0]) + half;
+
+    const point = words.indexOf('point');
+    const whole = point === -1 ? words : words.slice(0, point);
+    const fraction = point === -1 ? [] : words.slice(point + 1);
+    if (whole.length === 0 || whole.some(w => !(w in NUMBER_WORDS)) || fraction.some(w => !(w in NUMBER_WORDS) || NUMBER_WORDS[w] > 9)) return null;
+    const value = whole.reduce((sum, w) => sum + NUMBER_WORDS[w], 0);
+    const decimals = fraction.length ? parseFloat(`0.${fraction.map(w => NUMBER_WORDS[w]).join('')}`) : 0;
+    return value + decimals + half;
+}
+
+// Spoken exercise name to profile id: the full label ("goblet squat") or its last word ("squat")
+function exerciseFromSpeech(text) {
+    const profile = Object.values(EXERCISE_PROFILES).find(p => {
+        const label = p.label.toLowerCase();
+        return text === label || text === label.split(' ').pop();
+    });
+    return profile ? profile.id : null;
+}
+
+export const VOICE_GRAMMAR = [
+    { intent: 'CALIBRATE', pattern: /^(ready|calibrate|start calibration)$/ },
+    { intent: 'RESET_SIDE', pattern: /^(reset|switch arms|switch sides?|other side)$/ },
+    { intent: 'END_SET', pattern: /^((end|stop|finish) (the )?set|set done)$/ },
+    { intent: 'START_REST', pattern: /^(start )?rest(ing)?$/ },
+    { intent: 'UNDO_REP', pattern: /^((undo|delete|remove)( the)?( last)?( rep)?|scratch that)$/ },
+    { intent: 'PAUSE', pattern: /^pause$/ },
+    { intent: 'RESUME', pattern: /^(resume|continue|unpause)$/ },
+    { intent: 'QUERY_LAST_REP', pattern: /^(how fast was (that|it)|what was (that|the last rep)|last rep( speed)?)$/ },
+    { intent: 'SWITCH_ATHLETE', pattern: /^(athlete|lifter|switch to) (.+)$/, params: (m) => ({ name: m[2] }) },
+    { intent: 'QUERY_LAST_SET', pattern: /^(how did (that|the last|my last) set go|how was (that|the last|my last) set|(last )?set summary)$/ },
+    {
+        intent: 'SET_WEIGHT',
+        pattern: /^(weight|bell|load) (.+?)( (kilos?|kilograms?|kg))?$/,
+        params: (m) => {
+            const kg = parseSpokenNumber(m[2]);
+            return kg > 0 ? { kg } : null;
+        }
+    },
+    {
+        intent: 'SET_EXERCISE',
+        pattern: /^(exercise|change to) (.+)$/,
+        params: (m) => {
+            const exercise = exerciseFromSpeech(m[2]);
+            return exercise ? { exercise } : null;
+        }
+    }
+];
+
+// Returns { intent, params } or null. With a wake word set, the utterance must begin with it.
+export function parseVoiceCommand(text, { wakeWord = '' } = {}) {
+    const normalize = (t) => t.toLowerCase().replace(/\.(?!\d)/g, ' ').replace(/[^a-z0-9. ]/g, ' ').replace(/\s+/g, ' ').trim();
+    let utterance = normalize(text);
+    const wake = normalize(wakeWord);
+    if (wake) {
+        if (utterance !== wake && !utterance.startsWith(`${wake} `)) return null;
+        utterance = utterance.slice(wake.length).trim();
+    }
+
+    for (const rule of VOICE_GRAMMAR) {
+        const match = utterance.match(rule.pattern);
+        if (!match) continue;
+        const params = rule.params ? rule.params(match) : {};
+        if (params) return { intent: rule.intent, params };
+    }
+    return null;
+}
+
+// Maps a MediaPipe landmark array (33 points) to the LEFT/RIGHT joint layout used everywhere.
+// The matching world landmarks (meters, hip-centred) go under WORLD in the same layout.
+export function poseFromLandmarks(raw, world = null) {
+    const pose = {
+        LEFT: { WRIST: raw[15], ELBOW: raw[13], SHOULDER: raw[11], HIP: raw[23], KNEE: raw[25], ANKLE: raw[27], NOSE: raw[0] },
+        RIGHT: { WRIST: raw[16], ELBOW: raw[14], SHOULDER: raw[12], HIP: raw[24], KNEE: raw[26], ANKLE: raw[28] }
+    };
+    if (world) pose.WORLD = poseFromLandmarks(world);
+    return pose;
+}
+
+// Runs gesture, calibration, side lock, rep detection and fatigue tracking for a stream
+// of pose frames. Touches no DOM, camera or storage: feed it frames, subscribe to events.
+export class VBTEngine {
+    constructor(options = {}) {
+        this.now = options.now || (() => Date.now());
+        this.state = new AppState(options.userHeight);
+        this.gestureDetector = new GestureDetector();
+        this.gestureMap = options.gestureMap || DEFAULT_GESTURE_MAP;
+        this.calibration = new CalibrationSystem();
+        this.scale = new ScaleMonitor();
+        this.scaleWarned = false;
+        if (options.calibrationMethod) this.calibration.configure(options.calibrationMethod.method, options.calibrationMethod.lengthCm);
+        this.gate = new LandmarkGate();
+        this.trackingLost = false;
+        this.MAX_INTERPOLATED_SHARE = 0.3; // Reps with more interpolated frames are rejected
+        this.noRepFaults = options.noRepFaults ?? true; // Reject reps with a voidsRep technique fault
+        this.vbt = new VBTStateMachine();
+        if (options.exercise) this.setExercise(options.exercise);
+        this.fatigueSettings = options.fatigueSettings || {};
+        this.tracker = new VelocityFatigueTracker(options.metric);
+        this.bellMass = options.bellMass || null; // kg, for power estimates
+        this.prescription = null; // { targetLoss, maxReps } for the next set, see WorkoutRunner
+        this.actionHandlers = {}; // intent -> handler(params), see handleAction
+        this.lastRep = null; // { rep, velocity, kinematics } answering "how fast was that"
+        this.lastSet = null; // Last finished set record, for "how did that set go"
+        this.setStartedAt = null;
+        this.sideMachines = null; // { LEFT, RIGHT } VBTStateMachines while tracking double bells
+        this.pendingReps = {};
+        this.listeners = {};
+
+        let previousState = this.state.currentState;
+        this.state.subscribe(state => {
+            if (state.currentState === previousState) return;
+            const from = previousState;
+            previousState = state.currentState;
+            this.emit(ENGINE_EVENTS.STATE_CHANGE, { state: state.currentState, previousState: from, lockedSide: state.lockedSide });
+        });
+    }
+
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return () => this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    }
+    emit(type, payload) { (this.listeners[type] || []).forEach(l => l(payload)); }
+
+    setUserHeight(inches) {
+        this.state.setHeight(inches);
+    }
+
+    // Hands the station to another lifter: their height, thresholds and calibration method,
+    // starting uncalibrated (restoreCalibration can bring back theirs). Not during a set.
+    // athlete: { name, userHeight, preferredSide, fatigueSettings, calibrationMethod: { method, lengthCm } }
+    switchAthlete(athlete) {
+        const state = this.state.currentState;
+        if (state === APP_STATES.TRACKING || state === APP_STATES.PAUSED || state === APP_STATES.CALIBRATING) return false;
+        this.fatigueSettings = athlete.fatigueSettings || {};
+        this.calibration = new CalibrationSystem();
+        if (athlete.calibrationMethod) this.calibration.configure(athlete.calibrationMethod.method, athlete.calibrationMethod.lengthCm);
+        this.lastRep = null;
+        this.lastSet = null;
+        this.requireCalibration();
+        this.state.setAthlete(athlete.name, athlete.preferredSide);
+        this.state.setHeight(athlete.userHeight);
+        this.emit(ENGINE_EVENTS.ATHLETE_CHANGE, { name: this.state.athlete });
+        return true;
+    }
+
+    setBellMass(kg) {
+        this.bellMass = kg > 0 ? kg : null;
+    }
+
+    // Velocity metric used for baseline and fatigue; applies to the next set
+    setMetric(metric) {
+        if (!VELOCITY_METRICS[metric] || this.state.currentState === APP_STATES.TRACKING) return false;
+        this.tracker.metric = metric;
+        return true;
+    }
+
+    // { default: {...}, [EXERCISE]: {...} } - see DEFAULT_FATIGUE_SETTINGS; applies to the next set
+    setFatigueSettings(settingsByExercise) {
+        this.fatigueSettings = settingsByExercise || {};
+    }
+
+    // { [APP_STATES]: { [gesture id]: action } } - see DEFAULT_GESTURE_MAP
+    setGestureMap(gestureMap) {
+        this.gestureMap = gestureMap || DEFAULT_GESTURE_MAP;
+        this.gestureDetector = new GestureDetector();
+    }
+
+    // Per-set overrides from a workout program; null to go back to the fatigue settings alone
+    setPrescription(prescription) {
+        this.prescription = prescription || null;
+    }
+
+    fatigueSettingsForSet() {
+        const settings = resolveFatigueSettings(this.fatigueSettings, this.state.exercise);
+        const targetLoss = this.prescription?.targetLoss;
+        return targetLoss === null || targetLoss === undefined ? settings : { ...settings, targetLoss };
+    }
+
+    // Double-kettlebell mode; applies to the next set
+    setBilateral(bilateral) {
+        if (this.state.currentState === APP_STATES.TRACKING) return false;
+        this.state.setBilateral(!!bilateral);
+        return true;
+    }
+
+    // Applies to the next set; returns false while a set is being tracked
+    setExercise(exercise) {
+        if (!EXERCISE_PROFILES[exercise] || this.state.currentState === APP_STATES.TRACKING) return false;
+        this.vbt.setExercise(exercise);
+        this.state.setExercise(exercise);
+        return true;
+    }
+
+    // Returns true when the intent was valid in the current state and applied.
+    // See VOICE_GRAMMAR for the intents and their params.
+    command(intent, params = {}) {
+        const state = this.state.currentState;
+        const tracking = state === APP_STATES.TRACKING;
+        switch (intent) {
+            case 'CALIBRATE':
+                if (!this.state.canAcceptCalibrationTrigger) return false;
+                this.startCalibration();
+                return true;
+            case 'RESET_SIDE':
+                if (!this.state.canAcceptResetCommand) return false;
+                this.finishSet('RESET_SIDE');
+                return true;
+            case 'END_SET':
+            case 'START_REST':
+                if (!tracking) return false;
+                this.finishSet(intent);
+                return true;
+            case 'UNDO_REP':
+                if (!tracking || this.tracker.data.repCount === 0) return false;
+                this.undoRep();
+                return true;
+            case 'PAUSE':
+                if (![APP_STATES.READY_FOR_SET, APP_STATES.TRACKING, APP_STATES.BETWEEN_SETS].includes(state)) return false;
+                this.state.pause();
+                return true;
+            case 'RESUME':
+                if (state !== APP_STATES.PAUSED) return false;
+                this.resume();
+                return true;
+            case 'SET_WEIGHT':
+                if (tracking || !(params.kg > 0)) return false;
+                this.setBellMass(params.kg);
+                return true;
+            case 'SET_EXERCISE':
+                return this.setExercise(params.exercise);
+            case 'QUERY_LAST_REP':
+                return this.lastRep !== null;
+            case 'QUERY_LAST_SET':
+                return this.lastSet !== null;
+            case 'SWITCH_ATHLETE':
+                // The profile lookup and switchAthlete() are up to the app
+                return !tracking && state !== APP_STATES.PAUSED && state !== APP_STATES.CALIBRATING && !!params.name;
+            default:
+                return this.actionHandlers[intent] ? !!this.actionHandlers[intent](params) : false;
+        }
+    }
+
+    // Intents the engine leaves to someone else (WorkoutRunner's SKIP_REST). handler(params)
+    // returns whether it applied, so gestures and voice report it like any other command.
+    handleAction(intent, handler) {
+        this.actionHandlers[intent] = handler;
+    }
+
+    undoRep() {
+        const removed = this.tracker.data.repCount;
+        const stats = this.tracker.removeLastRep();
+        const last = stats.reps[stats.reps.length - 1];
+        this.lastRep = last ? { rep: stats.repCount, velocity: last.velocity, kinematics: last } : null;
+        this.emit(ENGINE_EVENTS.REP_UNDONE, { rep: removed, stats });
+    }
+
+    // Frames were skipped while paused, so rep detection restarts from the current position
+    resume() {
+        if (this.state.pausedFrom === APP_STATES.TRACKING) {
+            for (const machine of this.sideMachines ? Object.values(this.sideMachines) : [this.vbt]) {
+                machine.reset();
+                machine.startSet();
+            }
+            this.pendingReps = {};
+        }
+        this.state.resume();
+    }
+
+    // Arms the next set without a new T-pose; returns false unless resting between sets
+    readyForSet() {
+        if (this.state.currentState !== APP_STATES.BETWEEN_SETS) return false;
+        this.gestureDetector = new GestureDetector();
+        this.state.readyForSet();
+        return true;
+    }
+
+    // Drops calibration and any open set, e.g. when the camera source changes
+    requireCalibration() {
+        this.vbt.reset();
+        this.lastRep = null;
+        this.sideMachines = null;
+        this.pendingReps = {};
+        this.tracker.reset();
+        this.gestureDetector = new GestureDetector();
+        this.scale.setReference(null);
+        this.gate.reset();
+        this.trackingLost = false;
+        this.setStartedAt = null;
+        this.state.requireCalibration();
+    }
+
+    // Resume from a known point (used by replays that start mid-session)
+    restore({ state, lockedSide = null, pixelToCmRatio = null, exercise = null, bilateral = false }) {
+        if (pixelToCmRatio) this.calibration.pixelToCmRatio = pixelToCmRatio;
+        this.scale.setReference(null);
+        this.gate.reset();
+        if (exercise) this.setExercise(exercise);
+        this.setBilateral(bilateral);
+        if (!state || state === APP_STATES.CALIBRATING || !this.state.userHeight) return;
+        if (state === APP_STATES.TRACKING) {
+            this.tracker.configure(this.fatigueSettingsForSet());
+            if (lockedSide === 'BOTH') {
+                this.sideMachines = { LEFT: this.vbt, RIGHT: new VBTStateMachine(this.state.exercise) };
+            }
+        }
+        this.state.currentState = state;
+        this.state.lockedSide = lockedSide;
+        this.state.notify();
+    }
+
+    startCalibration() {
+        const prompts = {
+            FOREARM: 'Calibrating... Hold the T-pose still',
+            KETTLEBELL: 'Tap both sides of the kettlebell',
+            MARKER: 'Tap both edges of the marker'
+        };
+        this.calibration.reset();
+        this.state.startCalibration(prompts[this.calibration.method] || null);
+    }
+
+    // Applies to the next calibration; lengthCm is the measured segment or object size
+    setCalibrationMethod(method, lengthCm = null) {
+        if (!CALIBRATION_METHODS[method] || this.state.currentState === APP_STATES.CALIBRATING) return false;
+        this.calibration.configure(method, lengthCm);
+        return true;
+    }
+
+    completeCalibration(timestamp, restored = false) {
+        this.scale.setReference(this.calibration.referenceSegments);
+        this.state.calibrationComplete();
+        const { method, confidence } = this.calibration;
+        this.emit(ENGINE_EVENTS.CALIBRATED, { pixelsPerMeter: this.calibration.getPixelsPerMeter(), method, confidence, restored, distanceTracking: this.scale.available, timestamp });
+    }
+
+    // Reference methods: the app measures the object on a frame and hands in its pixel width
+    applyReferenceCalibration(pixelLength, timestamp = null) {
+        if (this.state.currentState !== APP_STATES.CALIBRATING || this.calibration.usesLandmarks) return false;
+        if (!this.calibration.finalizeReference(pixelLength, this.state.userHeight)) return false;
+        this.completeCalibration(timestamp);
+        return true;
+    }
+
+    // Skips the T-pose with a calibration saved earlier (see CalibrationSystem.toJSON)
+    restoreCalibration(saved, timestamp = null) {
+        if (this.state.currentState !== APP_STATES.AWAITING_CALIBRATION || !(saved?.pixelToCmRatio > 0)) return false;
+        this.calibration.restore(saved);
+        this.completeCalibration(timestamp, true);
+        return true;
+    }
+
+    // frameHeight/frameWidth: pixel size the normalized landmarks are scaled by for calibration
+    // Frames pass through the LandmarkGate first, so during a short occlusion a few frames
+    // are processed together once the landmark is back.
+    processFrame(pose, timestamp, frameHeight, frameWidth = frameHeight) {
+        for (const frame of this.gate.push({ pose, timestamp, frameHeight, frameWidth }, this.gatedLandmarks())) {
+            this.processGatedFrame(frame.pose, frame.timestamp, frame.frameHeight, frame.frameWidth);
+        }
+    }
+
+    // Only what the current state reads is worth holding frames back for: the tracked arm and
+    // torso, the landmarks the state's mapped gestures read and, while calibrating, the whole
+    // body. During a set only the tracked side is gated: gestures are held for a second or
+    // more, so a flickering off arm just restarts the hold, where gating it would delay reps.
+    gatedLandmarks() {
+        const state = this.state.currentState;
+        const keys = new Set(trackedSides(this.state.lockedSide).flatMap(s => TRACKED_LANDMARKS.map(name => `${s}.${name}`)));
+        if (state !== APP_STATES.TRACKING) {
+            Object.keys(this.gestureMap[state] || {}).forEach(id => GESTURES[id]?.landmarks.forEach(k => keys.add(k)));
+        }
+        if (state === APP_STATES.CALIBRATING && this.calibration.usesLandmarks) CALIBRATION_LANDMARK_KEYS.forEach(k => keys.add(k));
+        return keys;
+    }
+
+    processGatedFrame(pose, timestamp, frameHeight, frameWidth) {
+        const state = this.state.currentState;
+
+        // --- GESTURE DETECTION (only gestures mapped in this state) ---
+        const gestureActions = this.gestureMap[state];
+        if (gestureActions && Object.keys(gestureActions).length > 0) {
+            const gesture = this.gestureDetector.update(pose, Object.keys(gestureActions));
+            const action = gesture ? gestureActions[gesture.gesture] || null : null;
+            const applied = action ? this.command(action) : false;
+            this.emit(ENGINE_EVENTS.GESTURE, { gesture: gesture?.gesture || null, progress: gesture?.progress ?? 0, action, applied, timestamp });
+            if (applied) return; // The state this frame was meant for is gone
+        }
+
+        // --- CALIBRATION (reference methods wait for applyReferenceCalibration) ---
+        if (state === APP_STATES.CALIBRATING && this.calibration.usesLandmarks) {
+            const progress = this.calibration.captureFrame(pose, frameHeight, frameWidth);
+            this.state.updateCalibrationProgress(progress);
+            this.emit(ENGINE_EVENTS.CALIBRATION_PROGRESS, { progress, rejection: this.calibration.lastRejection });
+
+            if (progress >= 1.0) {
+                this.calibration.finalize(this.state.userHeight);
+                this.completeCalibration(timestamp);
+            }
+        }
+
+        // --- READY (Side Lock) ---
+        if (state === APP_STATES.READY_FOR_SET) {
+            const profile = this.vbt.profile;
+            let locked = this.state.bilateral ? profile.lockBilateral(pose) : profile.lockSide(pose);
+            // The athlete's preferred arm starts an exercise; the other arm is ignored until then
+            const first = this.state.sideFirst;
+            if (first && (locked === 'LEFT' || locked === 'RIGHT') && locked !== first) locked = null;
+            if (locked) {
+                this.vbt.startSet();
+                this.pendingReps = {};
+                this.sideMachines = null;
+                if (locked === 'BOTH') {
+                    this.sideMachines = { LEFT: this.vbt, RIGHT: new VBTStateMachine(profile.id) };
+                    this.sideMachines.RIGHT.startSet();
+                }
+                this.tracker.configure(this.fatigueSettingsForSet());
+                this.tracker.reset();
+                this.scaleWarned = false;
+                this.trackingLost = false;
+                this.setStartedAt = this.now();
+                this.state.lockSide(locked);
+                this.emit(ENGINE_EVENTS.SET_START, { side: locked, exercise: this.state.exercise, timestamp });
+            }
+        }
+
+        // --- TRACKING ---
+        if (state === APP_STATES.READY_FOR_SET || state === APP_STATES.TRACKING) {
+            this.scale.update(pose, frameHeight, frameWidth, timestamp);
+        }
+        if (state === APP_STATES.TRACKING) {
+            // Image-plane fallback: Normalized * Height = Pixels. Pixels / (Pixels/Meter) = Meters,
+            // with Pixels/Meter corrected for the athlete's current distance from the camera.
+            const metersPerNorm = frameHeight / (this.calibration.getPixelsPerMeter() * this.scale.factor);
+            if (this.scale.drifted && !this.scaleWarned) {
+                this.scaleWarned = true;
+                this.emit(ENGINE_EVENTS.SCALE_DRIFT, { factor: this.scale.factor, distanceChange: this.scale.distanceChange, timestamp });
+            }
+
+            // Hidden longer than the gate can fill: the rep in progress can't be trusted
+            const lost = trackedLandmarks(pose, this.state.lockedSide).some(p => landmarkConfidence(p) < LANDMARK_MIN_CONFIDENCE);
+            if (lost) {
+                if (!this.trackingLost) {
+                    this.trackingLost = true;
+                    for (const machine of this.sideMachines ? Object.values(this.sideMachines) : [this.vbt]) machine.reset();
+                    this.pendingReps = {};
+                    this.emit(ENGINE_EVENTS.TRACKING_LOST, { timestamp });
+                }
+                return;
+            }
+            if (this.trackingLost) {
+                this.trackingLost = false;
+                this.emit(ENGINE_EVENTS.TRACKING_RESTORED, { timestamp });
+            }
+
+            if (this.sideMachines) {
+                this.trackBothSides(pose, timestamp, metersPerNorm);
+                return;
+            }
+
+            const event = this.vbt.update(pose, timestamp, this.state.lockedSide, metersPerNorm);
+            if (this.vbt.lastSample) this.emit(ENGINE_EVENTS.SAMPLE, { side: this.state.lockedSide, ...this.vbt.lastSample, timestamp });
+
+            if (event && event.type === 'STANDING_RESET') {
+                this.finishSet('STANDING_RESET', timestamp);
+            }
+
+            if (event && event.type === 'REP') {
+                this.recordRep(this.computeKinematics(event), timestamp);
+            }
+        }
+    }
+
+    // Double bells: each wrist runs its own state machine. A rep is recorded once both
+    // sides finished it, or after PAIR_WINDOW_MS with whichever side was detected.
+    trackBothSides(pose, timestamp, metersPerNorm) {
+        const PAIR_WINDOW_MS = 400;
+        let standingReset = false;
+        for (const side of ['LEFT', 'RIGHT']) {
+            const event = this.sideMachines[side].update(pose, timestamp, side, metersPerNorm);
+            if (this.sideMachines[side].lastSample) this.emit(ENGINE_EVENTS.SAMPLE, { side, ...this.sideMachines[side].lastSample, timestamp });
+            if (event?.type === 'STANDING_RESET') standingReset = true;
+            if (event?.type === 'REP') this.pendingReps[side] = { kinematics: this.computeKinematics(event), timestamp };
+        }
+        if (standingReset) {
+            this.finishSet('STANDING_RESET', timestamp);
+            return;
+        }
+
+        const { LEFT, RIGHT } = this.pendingReps;
+        const first = LEFT && RIGHT ? null : LEFT || RIGHT;
+        if ((LEFT && RIGHT) || (first && timestamp - first.timestamp > PAIR_WINDOW_MS)) {
+            this.pendingReps = {};
+            this.recordRep(combineSides(LEFT?.kinematics, RIGHT?.kinematics), timestamp);
+        }
+    }
+
+    recordRep(repKinematics, timestamp) {
+        if (repKinematics.interpolatedFrames > repKinematics.frames * this.MAX_INTERPOLATED_SHARE) {
+            this.emit(ENGINE_EVENTS.REP_REJECTED, { reason: 'INTERPOLATED', kinematics: repKinematics, timestamp });
+            return;
+        }
+        const voiding = (repKinematics.technique?.faults || []).filter(f => TECHNIQUE_FAULTS[f].voidsRep);
+        if (this.noRepFaults && voiding.length > 0) {
+            this.emit(ENGINE_EVENTS.REP_REJECTED, { reason: 'TECHNIQUE', faults: voiding, kinematics: repKinematics, timestamp });
+            return;
+        }
+        const kinematics = {
+            ...repKinematics,
+            scaleFactor: this.scale.factor,
+            scaleConfidence: this.scale.confidence,
+            distanceWarning: this.scale.drifted
+        };
+        const previousZone = this.tracker.data.fatigueZone;
+        const stats = this.tracker.addRep(kinematics, this.now());
+        const velocity = kinematics[this.tracker.metric];
+        this.lastRep = { rep: stats.repCount, velocity, kinematics };
+        this.emit(ENGINE_EVENTS.REP, { rep: stats.repCount, velocity, kinematics, stats, timestamp });
+        if (stats.fatigueZone !== previousZone) {
+            this.emit(ENGINE_EVENTS.FATIGUE_ZONE_CHANGE, { zone: stats.fatigueZone, previousZone, dropFromBaseline: stats.dropFromBaseline, timestamp });
+        }
+        if (stats.targetReached) {
+            this.emit(ENGINE_EVENTS.TARGET_LOSS_REACHED, { dropFromBaseline: stats.dropFromBaseline, targetLoss: this.tracker.settings.targetLoss, rep: stats.repCount, timestamp });
+            this.finishSet('TARGET_VELOCITY_LOSS', timestamp);
+        } else if (this.prescription?.maxReps && stats.repCount >= this.prescription.maxReps) {
+            this.finishSet('REP_TARGET_REACHED', timestamp);
+        }
+    }
+
+    // Adds power to a REP event. Power is estimated as bell weight times vertical
+    // velocity (m * g * v), i.e. the work done against gravity, ignoring acceleration.
+    computeKinematics(event) {
+        const G = 9.81;
+        const { type, exercise, ...kinematics } = event;
+        return {
+            ...kinematics,
+            meanPower: this.bellMass ? this.bellMass * G * event.verticalMeanVelocity : null,
+            peakPower: this.bellMass ? this.bellMass * G * event.verticalPeakVelocity : null
+        };
+    }
+
+    // Closes the open set and emits it as a plain record (null set when no reps were done)
+    finishSet(reason, timestamp = null) {
+        const d = this.tracker.data;
+        const side = this.state.lockedSide;
+        const set = d.repCount === 0 ? null : {
+            side,
+            exercise: this.state.exercise,
+            bilateral: this.state.bilateral,
+            metric: this.tracker.metric,
+            bellMass: this.bellMass,
+            fatigueSettings: { ...this.tracker.settings },
+            velocities: [...d.velocities],
+            reps: d.reps.map(r => ({ ...r })),
+            baselineVelocity: d.baselineVelocity,
+            peakVelocity: d.peakVelocity,
+            dropFromBaseline: d.dropFromBaseline,
+            fatigueZone: d.fatigueZone,
+            startedAt: this.setStartedAt || d.reps[0].timestamp,
+            endedAt: this.now()
+        };
+
+        this.vbt.reset();
+        this.sideMachines = null;
+        this.pendingReps = {};
+        this.tracker.reset();
+        this.trackingLost = false;
+        if (set) this.lastSet = set;
+        this.setStartedAt = null;
+        this.state.endSet();
+        this.emit(ENGINE_EVENTS.SET_END, { set, reason, timestamp });
+        return set;
+    }
+}
+
+// Merges per-wrist kinematics into one double-bell rep: velocities, ROM and timing are
+// averaged, power is summed over both bells. Per-side values are kept under `sides`.
+export function combineSides(left, right) {
+    const present = [left, right].filter(Boolean);
+    const combined = { source: present[0].source, sides: { LEFT: left || null, RIGHT: right || null } };
+    for (const key of Object.keys(present[0])) {
+        if (key === 'source') continue;
+        const values = present.map(k => k[key]);
+        if (key === 'technique') {
+            combined.technique = combineTechnique(values);
+            continue;
+        }
+        if (values.some(v => typeof v !== 'number')) combined[key] = null;
+        else if (key === 'meanPower' || key === 'peakPower') combined[key] = values.reduce((a, b) => a + b, 0);
+        else combined[key] = values.reduce((a, b) => a + b, 0) / values.length;
+    }
+    return combined;
+}
+
+// Worst of both arms: largest angles, every fault either side had
+function combineTechnique(records) {
+    const combined = { faults: [...new Set(records.flatMap(r => r.faults))] };
+    for (const key of Object.keys(records[0])) {
+        if (key === 'faults') continue;
+        const values = records.map(r => r[key]).filter(v => typeof v === 'number');
+        combined[key] = values.length === 0 ? null : key === 'lockout' ? Math.min(...values) : Math.max(...values);
+    }
+    return combined;
+}
+
+// --- Multi-Person Coach Mode ---
+// Several lifters in one frame. PersonTracker gives each detected pose a stable id by
+// matching hip centres frame to frame; distances are in torso lengths so the match works
+// whether a lifter stands near the camera or at the back of the room. Body proportions
+// (shoulder and hip width, arm and thigh length, each relative to the torso) back up the
+// match when lifters cross, and re-identify a lifter who was out of view or hidden behind
+// someone else for longer than a moment. Tracks are only dropped after MAX_AWAY_MS.
+export class PersonTracker {
+    constructor() {
+        this.MAX_MATCH_DISTANCE = 1.0; // torso lengths between frames
+        this.MAX_MISSED_MS = 1000; // Unseen longer than this, only proportions bring a track back
+        this.MAX_AWAY_MS = 120000; // Unseen longer than this, the track is dropped
+        this.MAX_PROPORTION_DIFFERENCE = 0.15; // Mean relative difference of body proportions
+        this.MIN_REID_PROPORTIONS = 3; // Proportions both poses need for a re-identification
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    reset() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    static anchor(pose) {
+        const { LEFT, RIGHT } = pose;
+        if (!LEFT.HIP || !RIGHT.HIP || !LEFT.SHOULDER || !RIGHT.SHOULDER) return null;
+        const hip = { x: (LEFT.HIP.x + RIGHT.HIP.x) / 2, y: (LEFT.HIP.y + RIGHT.HIP.y) / 2 };
+        const shoulder = { x: (LEFT.SHOULDER.x + RIGHT.SHOULDER.x) / 2, y: (LEFT.SHOULDER.y + RIGHT.SHOULDER.y) / 2 };
+        const torso = Math.max(Math.hypot(shoulder.x - hip.x, shoulder.y - hip.y), 0.01);
+        return { x: hip.x, y: hip.y, torso, proportions: PersonTracker.proportions(pose, torso) };
+    }
+
+    // Segment lengths over torso length, from confident landmarks only. Limb lengths are
+    // averaged over both sides where both are seen.
+    static proportions(pose, torso) {
+        const seen = (p) => landmarkConfidence(p) >= LANDMARK_MIN_CONFIDENCE;
+        const length = (a, b) => (seen(a) && seen(b) ? Math.hypot(a.x - b.x, a.y - b.y) / torso : null);
+        const mean = (values) => {
+            const known = values.filter(v => v !== null);
+            return known.length ? known.reduce((a, b) => a + b, 0) / known.length : null;
+        };
+        const { LEFT, RIGHT } = pose;
+        const all = {
+            shoulders: length(LEFT.SHOULDER, RIGHT.SHOULDER),
+            hips: length(LEFT.HIP, RIGHT.HIP),
+            upperArm: mean([length(LEFT.SHOULDER, LEFT.ELBOW), length(RIGHT.SHOULDER, RIGHT.ELBOW)]),
+            forearm: mean([length(LEFT.ELBOW, LEFT.WRIST), length(RIGHT.ELBOW, RIGHT.WRIST)]),
+            thigh: mean([length(LEFT.HIP, LEFT.KNEE), length(RIGHT.HIP, RIGHT.KNEE)])
+        };
+        return Object.fromEntries(Object.entries(all).filter(([, v]) => v !== null));
+    }
+
+    // Mean relative difference over the proportions both have; count says how many that was
+    static difference(a, b) {
+        const keys = Object.keys(a).filter(key => key in b);
+        if (keys.length === 0) return { value: 0, count: 0 };
+        const value = keys.reduce((sum, key) => sum + Math.abs(a[key] - b[key]) / Math.max(a[key], b[key]), 0) / keys.length;
+        return { value, count: keys.length };
+    }
+
+    // poses: this frame's detections. Returns { tracked: [{ id, pose }], lost: [id] }.
+    // Recently seen tracks are matched nearest-first; the poses left over are compared with
+    // the tracks that have been out of view, and what is still left starts new tracks.
+    update(poses, timestamp) {
+        const anchors = poses.map(pose => PersonTracker.anchor(pose));
+        const matched = new Map(); // pose index -> track
+        const updated = new Set();
+        const assign = (pairs) => {
+            pairs.sort((a, b) => a.cost - b.cost);
+            pairs.forEach(({ track, i }) => {
+                if (matched.has(i) || updated.has(track)) return;
+                matched.set(i, track);
+                updated.add(track);
+            });
+        };
+
+        const recent = this.tracks.filter(track => timestamp - track.seenAt <= this.MAX_MISSED_MS);
+        const recentPairs = [];
+        recent.forEach(track => anchors.forEach((a, i) => {
+            if (!a) return;
+            const distance = Math.hypot(a.x - track.x, a.y - track.y) / Math.max(track.torso, a.torso);
+            const difference = PersonTracker.difference(track.proportions, a.proportions);
+            if (distance > this.MAX_MATCH_DISTANCE || difference.value > this.MAX_PROPORTION_DIFFERENCE) return;
+            recentPairs.push({ track, i, cost: distance + difference.value });
+        }));
+        assign(recentPairs);
+
+        const awayPairs = [];
+        this.tracks.filter(track => !recent.includes(track)).forEach(track => anchors.forEach((a, i) => {
+            if (!a || matched.has(i)) return;
+            const difference = PersonTracker.difference(track.proportions, a.proportions);
+            if (difference.count < this.MIN_REID_PROPORTIONS || difference.value > this.MAX_PROPORTION_DIFFERENCE) return;
+            awayPairs.push({ track, i, cost: difference.value });
+        }));
+        assign(awayPairs);
+
+        anchors.forEach((a, i) => {
+            if (!a || matched.has(i)) return;
+            const track = { id: this.nextId++, proportions: {} };
+            this.tracks.push(track);
+            matched.set(i, track);
+            updated.add(track);
+        });
+
+        const lost = [];
+        this.tracks = this.tracks.filter(track => {
+            if (updated.has(track) || timestamp - track.seenAt <= this.MAX_AWAY_MS) return true;
+            lost.push(track.id);
+            return false;
+        });
+
+        const tracked = [];
+        matched.forEach((track, i) => {
+            const { proportions, ...anchor } = anchors[i];
+            Object.assign(track, anchor, { seenAt: timestamp });
+            // Smoothed, so one foreshortened arm doesn't change who the lifter is
+            for (const [key, value] of Object.entries(proportions)) {
+                track.proportions[key] = key in track.proportions ? track.proportions[key] * 0.9 + value * 0.1 : value;
+            }
+            tracked.push({ id: track.id, pose: poses[i] });
+        });
+        tracked.sort((a, b) => a.id - b.id);
+        return { tracked, lost };
+    }
+}
+
+export const COACH_EVENTS = {
+    PERSON_FOUND: 'personFound',
+    PERSON_LOST: 'personLost'
+};
+
+// One VBTEngine per tracked person, so every lifter has their own calibration, side lock,
+// state machine and fatigue tracker. Engine events are re-emitted with the person's id.
+// People start without a height and wait in NEEDS_HEIGHT_INPUT until assigned an athlete.
+// options: VBTEngine options shared by every person (exercise, metric, bellMass, gestureMap, ...)
+export class CoachSession {
+    constructor(options = {}) {
+        this.options = options;
+        this.personTracker = new PersonTracker();
+        this.people = new Map(); // id -> { id, engine, athleteId }
+        this.listeners = {};
+    }
+
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return () => this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    }
+    emit(type, payload) { (this.listeners[type] || []).forEach(l => l(payload)); }
+
+    person(id) {
+        return this.people.get(id) || null;
+    }
+
+    addPerson(id, timestamp) {
+        const engine = new VBTEngine({ ...this.options, userHeight: null });
+        const person = { id, engine, athleteId: null };
+        Object.values(ENGINE_EVENTS).forEach(type => {
+            engine.on(type, payload => this.emit(type, { ...payload, personId: id }));
+        });
+        this.people.set(id, person);
+        this.emit(COACH_EVENTS.PERSON_FOUND, { personId: id, timestamp });
+        return person;
+    }
+
+    // An open set is closed when its lifter is dropped (out of view for PersonTracker.MAX_AWAY_MS),
+    // so the reps are not lost. Until then it waits for them to be re-identified.
+    removePerson(id, timestamp) {
+        const person = this.people.get(id);
+        if (!person) return;
+        const state = person.engine.state.currentState;
+        if (state === APP_STATES.TRACKING || state === APP_STATES.PAUSED) person.engine.finishSet('PERSON_LOST', timestamp);
+        this.people.delete(id);
+        this.emit(COACH_EVENTS.PERSON_LOST, { personId: id, athleteId: person.athleteId, timestamp });
+    }
+
+    // athlete: engine profile as for VBTEngine.switchAthlete, plus the caller's athlete id
+    assignAthlete(id, athleteId, athlete) {
+        const person = this.people.get(id);
+        if (!person || !person.engine.switchAthlete(athlete)) return false;
+        person.athleteId = athleteId;
+        return true;
+    }
+
+    // Applies fn(engine) to every person, e.g. a new exercise or bell weight for the class
+    forEachEngine(fn) {
+        this.people.forEach(person => fn(person.engine));
+    }
+
+    // poses: every pose detected in this frame. Returns [{ id, pose }] for drawing.
+    processFrame(poses, timestamp, frameHeight, frameWidth = frameHeight) {
+        const { tracked, lost } = this.personTracker.update(poses, timestamp);
+        lost.forEach(id => this.removePerson(id, timestamp));
+        tracked.forEach(({ id, pose }) => {
+            const person = this.people.get(id) || this.addPerson(id, timestamp);
+            person.engine.processFrame(pose, timestamp, frameHeight, frameWidth);
+        });
+        return tracked;
+    }
+
+    // Leaving coach mode: close open sets and forget everyone
+    reset(timestamp = null) {
+        [...this.people.keys()].forEach(id => this.removePerson(id, timestamp));
+        this.personTracker.reset();
+    }
+}
+
+// --- Deterministic Replay ---
+// Re-runs a recording through a fresh VBTEngine whose clock is the frame timestamps.
+// Nothing here reads the wall clock, the DOM or the live app state, so the output is deterministic.
+export class ReplayHarness {
+    constructor(recording) {
+        this.recording = recording;
+    }
+
+    run() {
+        const rec = this.recording;
+        let clock = 0;
+        const engine = new VBTEngine({ userHeight: rec.userHeight, calibrationMethod: rec.calibrationMethod, fatigueSettings: rec.fatigueSettings, metric: rec.metric, gestureMap: rec.gestureMap, noRepFaults: rec.noRepFaults, now: () => clock });
+        const events = [];
+        const sets = [];
+
+        engine.restore({ state: rec.startState, lockedSide: rec.lockedSide, pixelToCmRatio: rec.pixelToCmRatio, exercise: rec.exercise, bilateral: rec.bilateral });
+        engine.on(ENGINE_EVENTS.GESTURE, e => {
+            if (GESTURES[e.gesture]) events.push({ t: e.timestamp, type: e.gesture, action: e.action });
+        });
+        engine.on(ENGINE_EVENTS.CALIBRATED, e => events.push({ t: e.timestamp, type: 'CALIBRATED', pixelsPerMeter: e.pixelsPerMeter }));
+        engine.on(ENGINE_EVENTS.SET_START, e => events.push({ t: e.timestamp, type: 'SIDE_LOCK', side: e.side }));
+        engine.on(ENGINE_EVENTS.REP, e => events.push({ t: e.timestamp, type: 'REP', rep: e.rep, velocity: e.velocity, fatigueZone: e.stats.fatigueZone }));
+        engine.on(ENGINE_EVENTS.REP_REJECTED, e => events.push({ t: e.timestamp, type: 'REP_REJECTED', reason: e.reason, faults: e.faults }));
+        engine.on(ENGINE_EVENTS.TRACKING_LOST, e => events.push({ t: e.timestamp, type: 'TRACKING_LOST' }));
+        engine.on(ENGINE_EVENTS.SET_END, e => {
+            if (['STANDING_RESET', 'TARGET_VELOCITY_LOSS', 'REP_TARGET_REACHED'].includes(e.reason)) events.push({ t: e.timestamp, type: e.reason });
+            if (e.set) sets.push({ side: e.set.side, exercise: e.set.exercise, velocities: e.set.velocities, fatigueZone: e.set.fatigueZone });
+        });
+
+        let commandIndex = 0;
+        for (const frame of rec.frames) {
+            while (commandIndex < rec.commands.length && rec.commands[commandIndex].t <= frame.t) {
+                const { t, intent, params } = rec.commands[commandIndex++];
+                clock = t;
+                if (engine.command(intent, params)) events.push({ t, type: `VOICE_${intent}` });
+            }
+            clock = frame.t;
+            engine.processFrame(frame.pose, frame.t, frame.h, frame.w ?? frame.h);
+        }
+
+        const open = engine.tracker.data;
+        if (engine.state.currentState === APP_STATES.TRACKING && open.repCount > 0) {
+            sets.push({ side: engine.state.lockedSide, exercise: engine.state.exercise, velocities: [...open.velocities], fatigueZone: open.fatigueZone, unfinished: true });
+        }
+        return { events, sets };
+    }
+}
+
+// ============================================================================
+// 5. ANALYTICS
+// ============================================================================
+
+// Mean velocity (m/s) at a one-rep max for the grinding lifts; ballistic lifts have no e1RM
+export const MINIMUM_VELOCITY_THRESHOLDS = {
+    PRESS: 0.2,
+    GOBLET_SQUAT: 0.3
+};
+
+// Ordinary least squares for y = slope * x + intercept
+export function linearRegression(points) {
+    const n = points.length;
+    if (n < 2) return null;
+    const meanX = points.reduce((a, p) => a + p.x, 0) / n;
+    const meanY = points.reduce((a, p) => a + p.y, 0) / n;
+    let sxx = 0, sxy = 0, syy = 0;
+    for (const p of points) {
+        sxx += (p.x - meanX) ** 2;
+        sxy += (p.x - meanX) * (p.y - meanY);
+        syy += (p.y - meanY) ** 2;
+    }
+    if (sxx === 0) return null;
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const ssRes = points.reduce((a, p) => a + (p.y - (slope * p.x + intercept)) ** 2, 0);
+    return {
+        slope,
+        intercept,
+        r2: syy === 0 ? 1 : 1 - ssRes / syy,
+        standardError: n > 2 ? Math.sqrt(ssRes / (n - 2)) : 0,
+        n
+    };
+}
+
+// Individual load-velocity relationship for one exercise, one point per stored set:
+// the set's fastest rep on the chosen metric at the set's bell weight.
+export class LoadVelocityProfile {
+    constructor(points, exercise, metric = 'meanVelocity', bilateral = false) {
+        this.points = points;
+        this.exercise = exercise;
+        this.metric = metric;
+        this.bilateral = bilateral;
+        this.fit = linearRegression(points.map(p => ({ x: p.load, y: p.velocity })));
+    }
+
+    // Sets recorded before the optional `beforeSessionId` (a YYYY-MM-DD day) are used.
+    // Single and double-bell sets are profiled separately.
+    static fromSets(sets, { exercise, metric = 'meanVelocity', beforeSessionId = null, bilateral = false }) {
+        const points = sets
+            .filter(set => set.exercise === exercise && set.bellMass > 0 && !!set.bilateral === bilateral)
+            .filter(set => !beforeSessionId || set.sessionId < beforeSessionId)
+            .map(set => ({
+                load: set.bellMass,
+                velocity: LoadVelocityProfile.bestVelocity(set, metric),
+                sessionId: set.sessionId,
+                setNumber: set.setNumber
+            }))
+            .filter(p => p.velocity > 0);
+        return new LoadVelocityProfile(points, exercise, metric, bilateral);
+    }
+
+    static bestVelocity(set, metric) {
+        const values = (set.reps || []).map(rep => rep[metric] ?? rep.velocity).filter(v => typeof v === 'number');
+        return values.length ? Math.max(...values) : null;
+    }
+
+    // Usable once there are at least two different loads and velocity drops as load rises
+    get isValid() { return this.fit !== null && this.fit.slope < 0; }
+
+    velocityAtLoad(load) {
+        return this.isValid ? this.fit.slope * load + this.fit.intercept : null;
+    }
+
+    loadAtVelocity(velocity) {
+        return this.isValid ? (velocity - this.fit.intercept) / this.fit.slope : null;
+    }
+
+    estimate1RM() {
+        const mvt = MINIMUM_VELOCITY_THRESHOLDS[this.exercise];
+        return mvt === undefined ? null : this.loadAtVelocity(mvt);
+    }
+
+    // Compares sets (e.g. today's) with the profile. A set is flagged when its best velocity
+    // is below the prediction by more than the profile's standard error (at least 3%).
+    compare(sets) {
+        if (!this.isValid) return [];
+        return sets
+            .filter(set => set.exercise === this.exercise && set.bellMass > 0 && !!set.bilateral === this.bilateral)
+            .map(set => {
+                const velocity = LoadVelocityProfile.bestVelocity(set, this.metric);
+                const predicted = this.velocityAtLoad(set.bellMass);
+                const tolerance = Math.max(this.fit.standardError, predicted * 0.03);
+                return {
+                    setNumber: set.setNumber,
+                    load: set.bellMass,
+                    velocity,
+                    predicted,
+                    deviationPct: ((velocity - predicted) / predicted) * 100,
+                    belowProfile: velocity < predicted - tolerance
+                };
+            });
+    }
+}
+
+// Left-vs-right comparison per exercise for one session. Single-arm sets are grouped by
+// their locked side; double-bell sets contribute the per-wrist values of each rep.
+// Velocity loss per side is (best - last) / best over each set's reps.
+export function asymmetrySummary(sets) {
+    const groups = {};
+    const side = (exercise, source, name) => {
+        const key = `${exercise}|${source}`;
+        groups[key] = groups[key] || { exercise, source, LEFT: { sets: 0, velocities: [], losses: [] }, RIGHT: { sets: 0, velocities: [], losses: [] } };
+        return groups[key][name];
+    };
+    const addSeries = (target, values) => {
+        if (values.length === 0) return;
+        const best = Math.max(...values);
+        target.sets++;
+        target.velocities.push(...values);
+        target.losses.push(best > 0 ? ((best - values[values.length - 1]) / best) * 100 : 0);
+    };
+
+    for (const set of sets) {
+        const metric = set.metric || 'velocity';
+        const value = (kinematics) => kinematics?.[metric] ?? kinematics?.velocity;
+        if (set.side === 'LEFT' || set.side === 'RIGHT') {
+            addSeries(side(set.exercise, 'single-arm', set.side), (set.reps || []).map(value).filter(v => typeof v === 'number'));
+        } else if (set.side === 'BOTH') {
+            for (const name of ['LEFT', 'RIGHT']) {
+                addSeries(side(set.exercise, 'double', name), (set.reps || []).map(r => value(r.sides?.[name])).filter(v => typeof v === 'number'));
+            }
+        }
+    }
+
+    const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+    // Positive: right side is higher; relative to the larger of the two
+    const asymmetry = (l, r) => (l === null || r === null || Math.max(l, r) === 0 ? null : ((r - l) / Math.max(l, r)) * 100);
+
+    return Object.values(groups)
+        .filter(g => g.LEFT.sets > 0 && g.RIGHT.sets > 0)
+        .map(g => {
+            const summarize = (s) => ({ sets: s.sets, reps: s.velocities.length, meanVelocity: mean(s.velocities), bestVelocity: Math.max(...s.velocities), meanVelocityLoss: mean(s.losses) });
+            const left = summarize(g.LEFT);
+            const right = summarize(g.RIGHT);
+            return {
+                exercise: g.exercise,
+                source: g.source,
+                left,
+                right,
+                velocityAsymmetryPct: asymmetry(left.meanVelocity, right.meanVelocity),
+                fatigueDifferencePct: right.meanVelocityLoss - left.meanVelocityLoss
+            };
+        });
+}
+
+const FATIGUE_ZONE_ORDER = ['FRESH', 'MILD', 'MODERATE', 'HIGH', 'CRITICAL'];
+
+// "How did that set go?" for one stored set. Velocity loss is (best - last) / best as in
+// asymmetrySummary; zoneFirstReached maps each fatigue zone to the first rep (1-based)
+// that reached it, or null.
+export function setSummary(set) {
+    const velocities = set.velocities || [];
+    const reps = set.reps || [];
+    const n = velocities.length;
+    const best = n ? Math.max(...velocities) : null;
+    const last = n ? velocities[n - 1] : null;
+    const zoneFirstReached = {};
+    for (const zone of FATIGUE_ZONE_ORDER) {
+        const index = reps.findIndex(r => FATIGUE_ZONE_ORDER.indexOf(r.fatigueZone) >= FATIGUE_ZONE_ORDER.indexOf(zone));
+        zoneFirstReached[zone] = index === -1 ? null : index + 1;
+    }
+    return {
+        setNumber: set.setNumber ?? null,
+        exercise: set.exercise,
+        side: set.side,
+        bilateral: !!set.bilateral,
+        bellMass: set.bellMass ?? null,
+        metric: set.metric || 'velocity',
+        reps: n,
+        bestVelocity: best,
+        meanVelocity: n ? velocities.reduce((a, b) => a + b, 0) / n : null,
+        lastVelocity: last,
+        baselineVelocity: set.baselineVelocity ?? null,
+        velocityLoss: best > 0 ? ((best - last) / best) * 100 : null,
+        dropFromBaseline: set.dropFromBaseline ?? null,
+        fatigueZone: set.fatigueZone,
+        zoneFirstReached,
+        velocities,
+        zones: reps.map(r => r.fatigueZone),
+        faultyReps: reps.filter(r => r.technique?.faults.length > 0).length,
+        durationS: set.startedAt != null && set.endedAt != null ? (set.endedAt - set.startedAt) / 1000 : null,
+        startedAt: set.startedAt ?? null
+    };
+}
+
+// Every set of a session in order, with day totals and a line per exercise.
+// Volume counts both bells of a double set.
+export function sessionSummary(sets) {
+    const summaries = sets.map(setSummary);
+    const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+    const totals = (list) => {
+        const velocities = list.flatMap(s => s.velocities);
+        const losses = list.map(s => s.velocityLoss).filter(v => v !== null);
+        return {
+            sets: list.length,
+            reps: velocities.length,
+            volumeKg: list.reduce((sum, s) => sum + (s.bellMass || 0) * s.reps * (s.bilateral ? 2 : 1), 0),
+            meanVelocity: mean(velocities),
+            bestVelocity: velocities.length ? Math.max(...velocities) : null,
+            meanVelocityLoss: mean(losses)
+        };
+    };
+    const exercises = [...new Set(summaries.map(s => s.exercise))];
+    return {
+        sets: summaries,
+        totals: totals(summaries),
+        byExercise: exercises.map(exercise => ({ exercise, ...totals(summaries.filter(s => s.exercise === exercise)) }))
+    };
+}
+
+// ============================================================================
+// 6. WORKOUT PROGRAMS
+// ============================================================================
+
+// A workout is a list of exercises, each prescribed for a number of sets:
+// { name, exercises: [{ exercise, load, bilateral, sets, reps, velocityLoss, targetVelocity, rest }] }
+// reps is a count, [min, max] or { min, max }; velocityLoss (%) ends a set early;
+// targetVelocity (m/s, fatigue metric) is the best rep the set is expected to reach;
+// rest is in seconds after each set.
+export function parseWorkout(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!data || !Array.isArray(data.exercises) || data.exercises.length === 0) {
+        throw new Error('A workout needs at least one exercise');
+    }
+    const exercises = data.exercises.map((entry, i) => {
+        const fail = (message) => { throw new Error(`Exercise ${i + 1}: ${message}`); };
+        if (!entry || typeof entry !== 'object') fail('expected an object');
+        if (!EXERCISE_PROFILES[entry.exercise]) fail(`unknown exercise "${entry.exercise}"`);
+        // Optional numbers: missing or null takes the default, anything else must be a finite number
+        const number = (field, valid, rule) => {
+            const value = entry[field];
+            if (value == null) return null;
+            if (typeof value !== 'number' || !Number.isFinite(value) || !valid(value)) fail(`${field} must be ${rule}, got ${JSON.stringify(value)}`);
+            return value;
+        };
+        const positive = (field) => number(field, v => v > 0, 'a positive number');
+        const repRange = () => {
+            const reps = entry.reps;
+            if (reps == null) return null;
+            const [min, max] = typeof reps === 'number' ? [reps, reps] : Array.isArray(reps) ? reps : [reps.min, reps.max];
+            const count = (value) => value == null || (Number.isInteger(value) && value > 0);
+            if (!['number', 'object'].includes(typeof reps) || !count(min) || !count(max) || (min == null && max == null)) {
+                fail(`reps must be a count, [min, max] or { min, max }, got ${JSON.stringify(reps)}`);
+            }
+            return { min: min ?? 1, max: Math.max(max ?? min, min ?? 1) };
+        };
+
+        return {
+            exercise: entry.exercise,
+            load: positive('load'),
+            bilateral: !!entry.bilateral,
+            sets: number('sets', v => Number.isInteger(v) && v >= 1, 'a whole number of at least 1') ?? 1,
+            reps: repRange(),
+            velocityLoss: positive('velocityLoss'),
+            targetVelocity: positive('targetVelocity'),
+            rest: number('rest', v => v >= 0, 'zero or more seconds') ?? 120
+        };
+    });
+    return { name: data.name || 'Workout', exercises };
+}
+
+export const WORKOUT_EVENTS = {
+    SET_PRESCRIBED: 'setPrescribed',
+    SET_RESULT: 'setResult',
+    REST_START: 'restStart',
+    REST_TICK: 'restTick',
+    REST_END: 'restEnd',
+    COMPLETE: 'complete'
+};
+
+// Walks an engine through a parsed workout: configures each prescribed set, counts the
+// rest down on the engine clock and arms the next set when it runs out. Call tick()
+// regularly (e.g. every frame); nothing here touches the DOM or timers.
+export class WorkoutRunner {
+    constructor(engine) {
+        this.engine = engine;
+        this.workout = null;
+        this.slots = [];
+        this.index = -1;
+        this.results = [];
+        this.restEndsAt = null;
+        this.lastRemaining = null;
+        this.pausedAt = null;
+        this.listeners = {};
+        // Registered before any app listener, so the set is annotated before it is saved
+        engine.on(ENGINE_EVENTS.SET_END, e => this.onSetEnd(e));
+        engine.handleAction('SKIP_REST', () => this.skipRest());
+    }
+
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return () => this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    }
+    emit(type, payload) { (this.listeners[type] || []).forEach(l => l(payload)); }
+
+    get active() { return this.index >= 0 && this.index < this.slots.length; }
+    get resting() { return this.restEndsAt !== null; }
+    get current() { return this.slots[this.index] || null; }
+    get next() { return this.slots[this.index + 1] || null; }
+
+    // Returns false while a set is being tracked
+    start(workout) {
+        if (this.engine.state.currentState === APP_STATES.TRACKING) return false;
+        this.workout = workout;
+        this.slots = workout.exercises.flatMap(entry =>
+            Array.from({ length: entry.sets }, (_, i) => ({ ...entry, setOfExercise: i + 1 })));
+        this.results = [];
+        this.restEndsAt = null;
+        this.prescribe(0);
+        return true;
+    }
+
+    stop() {
+        this.index = -1;
+        this.restEndsAt = null;
+        this.lastRemaining = null;
+        this.engine.setPrescription(null);
+    }
+
+    prescribe(index) {
+        const engine = this.engine;
+        const slot = this.slots[index];
+        this.index = index;
+        engine.setExercise(slot.exercise);
+        engine.setBilateral(slot.bilateral);
+        if (slot.load) engine.setBellMass(slot.load);
+        engine.setPrescription({ targetLoss: slot.velocityLoss, maxReps: slot.reps?.max ?? null });
+        engine.readyForSet();
+        this.emit(WORKOUT_EVENTS.SET_PRESCRIBED, { slot, number: index + 1, total: this.slots.length });
+    }
+
+    static evaluate(slot, set) {
+        const reps = set.velocities.length;
+        const bestVelocity = Math.max(...set.velocities);
+        const missedReps = !!slot.reps && (reps < slot.reps.min || reps > slot.reps.max);
+        const missedVelocity = !!slot.targetVelocity && bestVelocity < slot.targetVelocity;
+        return { reps, bestVelocity, missedReps, missedVelocity, missed: missedReps || missedVelocity };
+    }
+
+    onSetEnd({ set }) {
+        if (!this.active || this.resting) return;
+        if (!set) {
+            this.engine.readyForSet(); // Nothing lifted, stay on this set
+            return;
+        }
+
+        const slot = this.current;
+        const result = WorkoutRunner.evaluate(slot, set);
+        set.workout = {
+            name: this.workout.name,
+            number: this.index + 1,
+            prescribed: { load: slot.load, reps: slot.reps, velocityLoss: slot.velocityLoss, targetVelocity: slot.targetVelocity },
+            ...result
+        };
+        this.results.push({ slot, set, ...result });
+        this.emit(WORKOUT_EVENTS.SET_RESULT, { slot, set, number: this.index + 1, ...result });
+
+        if (!this.next) {
+            this.index = this.slots.length;
+            this.engine.setPrescription(null);
+            this.emit(WORKOUT_EVENTS.COMPLETE, { workout: this.workout, results: this.results });
+            return;
+        }
+        this.restEndsAt = this.engine.now() + slot.rest * 1000;
+        this.emit(WORKOUT_EVENTS.REST_START, { seconds: slot.rest, next: this.next });
+        this.tick();
+    }
+
+    tick() {
+        if (!this.resting) return;
+        // Pausing the engine holds the countdown
+        if (this.engine.state.currentState === APP_STATES.PAUSED) {
+            if (this.pausedAt === null) this.pausedAt = this.engine.now();
+            return;
+        }
+        if (this.pausedAt !== null) {
+            this.restEndsAt += this.engine.now() - this.pausedAt;
+            this.pausedAt = null;
+        }
+        const remainingMs = this.restEndsAt - this.engine.now();
+        const remaining = Math.max(0, Math.ceil(remainingMs / 1000));
+        if (remaining !== this.lastRemaining) {
+            this.lastRemaining = remaining;
+            this.emit(WORKOUT_EVENTS.REST_TICK, { remaining });
+        }
+        if (remainingMs <= 0) this.endRest();
+    }
+
+    // Returns false when there is no rest to skip
+    skipRest() {
+        if (!this.resting) return false;
+        this.endRest();
+        return true;
+    }
+
+    endRest() {
+        this.restEndsAt = null;
+        this.lastRemaining = null;
+        this.emit(WORKOUT_EVENTS.REST_END, {});
+        this.prescribe(this.index + 1);
+    }
+}